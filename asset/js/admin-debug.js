@@ -1,5 +1,7 @@
 (function(){
   'use strict';
+  const log = window.LibraryThemeLog.create('admin');
+
   function qs(sel, root){ return (root||document).querySelector(sel); }
   function qsa(sel, root){ return Array.from((root||document).querySelectorAll(sel)); }
 
@@ -17,6 +19,175 @@
     return data;
   }
 
+  // --- Settings resolution inspector -------------------------------------
+  // theme-setting-css.phtml writes a JSON block (#library-theme-settings-resolution) for
+  // logged-in users: saved value, preset value and resolved value per setting, plus the
+  // custom property that carries it. The computed value comes from the previewed page.
+
+  const RESOLUTION_ID = 'library-theme-settings-resolution';
+
+  function getSiteUrl(){
+    // Shared with the other admin scripts (enhanced-preset-system.js)
+    const presets = window.EnhancedPresetSystem;
+    return (presets ? presets.getSiteUrl() : location.origin + '/') + '?presetPreview=1';
+  }
+
+  // The inline preview when there is one, otherwise a hidden frame of the site
+  function getPreviewDocument(){
+    const inline = qs('.admin-inline-preview__frame');
+    let frame = inline;
+    if (!frame) {
+      frame = document.getElementById('admin-debug-frame');
+      if (!frame) {
+        frame = document.createElement('iframe');
+        frame.id = 'admin-debug-frame';
+        frame.setAttribute('aria-hidden', 'true');
+        frame.tabIndex = -1;
+        frame.style.cssText = 'position:absolute; left:-10000px; top:0; width:1280px; height:800px; border:0;';
+        frame.src = getSiteUrl();
+        document.body.appendChild(frame);
+      }
+    }
+    return new Promise(function(resolve, reject){
+      const ready = function(){
+        try {
+          const doc = frame.contentDocument;
+          // A new frame starts on about:blank before the site loads
+          if (doc && doc.URL === 'about:blank') { frame.addEventListener('load', ready, { once: true }); return; }
+          if (doc && doc.readyState === 'complete' && doc.getElementById(RESOLUTION_ID)) return resolve({ doc, live: !!inline });
+          if (doc && doc.readyState === 'complete') return reject(new Error('The previewed page has no resolution data (are you logged in, and is theme-setting-css.phtml up to date?)'));
+        } catch (e) {
+          return reject(new Error('The preview is on another origin and cannot be inspected'));
+        }
+        frame.addEventListener('load', ready, { once: true });
+      };
+      ready();
+    });
+  }
+
+  // Compare CSS values loosely: case, quotes and whitespace do not matter
+  function cssKey(value){
+    return String(value == null ? '' : value).replace(/["']/g, '').replace(/\s+/g, ' ').replace(/\s*,\s*/g, ',').trim().toLowerCase();
+  }
+
+  function isSet(value){ return value !== null && value !== undefined && value !== ''; }
+
+  /**
+   * Rows for the inspector, with the reasons a setting looks wrong
+   *
+   * @returns {Array<{name: string, saved: *, preset: *, resolved: *, cssVar: ?string, computed: ?string, problems: string[]}>}
+   */
+  function inspectResolution(doc){
+    const data = JSON.parse(doc.getElementById(RESOLUTION_ID).textContent);
+    const rootStyle = doc.defaultView.getComputedStyle(doc.documentElement);
+    const rows = Object.keys(data.settings).map(function(name){
+      const entry = data.settings[name];
+      const computed = entry.var ? rootStyle.getPropertyValue(entry.var).trim() : null;
+      const problems = [];
+      if (isSet(entry.saved) && String(entry.saved) !== String(entry.resolved)) {
+        problems.push(isSet(entry.preset) && String(entry.preset) === String(entry.resolved)
+          ? 'the preset overrides the saved value (' + data.preset_mode + ')'
+          : 'the saved value is not the one used');
+      }
+      if (!isSet(entry.saved) && !isSet(entry.preset)) {
+        problems.push('neither saved nor in the preset: theme default used');
+      }
+      if (entry.var && computed === '') {
+        problems.push(entry.var + ' is not set on the page');
+      } else if (entry.var && cssKey(computed) !== cssKey(entry.css)) {
+        problems.push('the page has ' + computed + ' instead of ' + entry.css + ' (live preview edit or a script/stylesheet override)');
+      }
+      return { name, saved: entry.saved, preset: entry.preset, resolved: entry.resolved, cssVar: entry.var, computed, problems };
+    });
+    return { preset: data.preset, presetMode: data.preset_mode, presetFound: data.preset_found, rows };
+  }
+
+  function formatValue(value){
+    if (value === null || value === undefined) return '—';
+    if (value === '') return '(empty)';
+    return String(value);
+  }
+
+  function renderInspector(panel, result, live){
+    panel.textContent = '';
+    const summary = document.createElement('div');
+    const mismatches = result.rows.filter(function(row){ return row.problems.length; }).length;
+    summary.style.cssText = 'margin-bottom:6px;';
+    summary.textContent = 'Preset "' + result.preset + '"' + (result.presetFound ? '' : ' (unknown, Traditional used)') +
+      ', mode ' + result.presetMode + '. ' + mismatches + ' of ' + result.rows.length + ' settings need a look.' +
+      (live ? ' Computed values come from the inline preview, which includes unsaved edits.' : '');
+    panel.appendChild(summary);
+
+    const filterLabel = document.createElement('label');
+    filterLabel.style.cssText = 'display:inline-block; margin-bottom:6px;';
+    const filter = document.createElement('input');
+    filter.type = 'checkbox';
+    filter.checked = mismatches > 0;
+    filterLabel.appendChild(filter);
+    filterLabel.appendChild(document.createTextNode(' Only settings that disagree'));
+    panel.appendChild(filterLabel);
+
+    const table = document.createElement('table');
+    table.style.cssText = 'width:100%; border-collapse:collapse; font-size:12px;';
+    const head = table.createTHead().insertRow();
+    ['Setting', 'Saved', 'Preset', 'Resolved', 'CSS on page'].forEach(function(label){
+      const th = document.createElement('th');
+      th.textContent = label;
+      th.style.cssText = 'text-align:left; padding:4px 6px; border-bottom:2px solid #dee2e6;';
+      head.appendChild(th);
+    });
+    const body = table.createTBody();
+    result.rows.forEach(function(row){
+      const tr = body.insertRow();
+      tr.dataset.setting = row.name;
+      if (row.problems.length) {
+        tr.className = 'is-mismatch';
+        tr.style.background = '#fff3cd';
+        tr.title = row.problems.join('\n');
+      }
+      const computed = row.cssVar ? row.cssVar + ': ' + formatValue(row.computed) : '—';
+      [row.name, formatValue(row.saved), formatValue(row.preset), formatValue(row.resolved), computed].forEach(function(text){
+        const td = tr.insertCell();
+        td.textContent = text;
+        td.style.cssText = 'padding:3px 6px; border-bottom:1px solid #eee; font-family:monospace; word-break:break-all;';
+      });
+      if (row.problems.length) {
+        const note = body.insertRow();
+        note.className = 'is-mismatch-note';
+        note.style.background = '#fff3cd';
+        const td = note.insertCell();
+        td.colSpan = 5;
+        td.style.cssText = 'padding:0 6px 4px 18px; color:#856404;';
+        td.textContent = '↳ ' + row.problems.join('; ');
+      }
+    });
+    panel.appendChild(table);
+
+    const applyFilter = function(){
+      Array.from(body.rows).forEach(function(tr){
+        tr.hidden = filter.checked && !/^is-mismatch/.test(tr.className);
+      });
+    };
+    filter.addEventListener('change', applyFilter);
+    applyFilter();
+  }
+
+  function openInspector(bar){
+    let panel = document.getElementById('admin-debug-inspector');
+    if (!panel) {
+      panel = document.createElement('div');
+      panel.id = 'admin-debug-inspector';
+      panel.style.cssText = 'flex-basis:100%; max-height:420px; overflow:auto; background:#fff; border:1px solid #dee2e6; border-radius:4px; padding:8px;';
+      bar.appendChild(panel);
+    }
+    panel.textContent = 'Loading the previewed page…';
+    getPreviewDocument().then(function(preview){
+      renderInspector(panel, inspectResolution(preview.doc), preview.live);
+    }).catch(function(err){
+      panel.textContent = err.message;
+    });
+  }
+
   function injectDebug(anchor){
     let bar = document.getElementById('admin-debug-bar');
     if (bar) return;
@@ -32,7 +203,7 @@
       pre.style.cssText = 'background:#111; color:#0f0; padding:10px; overflow:auto; max-height:300px;';
       pre.textContent = JSON.stringify(data, null, 2);
       bar.appendChild(pre);
-      console.log('[Admin Debug] Current form values:', data);
+      log.debug('Current form values:', data);
     };
 
     const btnCheckPreset = document.createElement('button');
@@ -48,11 +219,22 @@
         presetValue: preset ? preset.value : null
       };
       alert('Preset wiring: ' + JSON.stringify(msg, null, 2));
-      console.log('[Admin Debug] Preset wiring:', msg);
+      log.debug('Preset wiring:', msg);
     };
 
+    const btnInspect = document.createElement('button');
+    btnInspect.type='button'; btnInspect.textContent='Debug: Inspect settings resolution';
+    btnInspect.onclick = function(){ openInspector(bar); };
+
+    const btnReport = document.createElement('button');
+    btnReport.type='button'; btnReport.textContent='Debug: Download diagnostic report';
+    btnReport.title = 'Log entries, debug settings and browser details as JSON';
+    btnReport.onclick = function(){ window.LibraryThemeLog.downloadReport(); };
+
     bar.appendChild(btnDump);
     bar.appendChild(btnCheckPreset);
+    bar.appendChild(btnInspect);
+    bar.appendChild(btnReport);
     anchor && anchor.appendChild(bar);
   }
 
@@ -64,5 +246,7 @@
     injectDebug(anchor);
   }
   document.addEventListener('DOMContentLoaded', init);
+
+  window.LibraryAdminDebug = { inspectResolution };
 })();
 
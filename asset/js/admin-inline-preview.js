@@ -1,19 +1,113 @@
 (function(){
-/* Live updates: reload iframe when inputs change */
+/* Live updates: push setting changes to the preview (preview-listener.js) over postMessage.
+   When the listener does not answer, fall back to reloading the iframe with query-string overrides. */
+
+  var MESSAGE_PREFIX = 'library-theme-preview:';
+  // How long to wait for the listener after the iframe loads
+  var READY_TIMEOUT = 2000;
+
+  // Which page the preview shows; the choice is remembered per site
+  var PAGE_TYPES = {
+    home: 'Site home',
+    page: 'Page',
+    item: 'Item',
+    items: 'Item browse',
+    item_sets: 'Item set browse',
+    search: 'Search results'
+  };
+  var PAGE_STORAGE_PREFIX = 'libraryTheme.previewPage.';
 
   function onReady(fn){ if(document.readyState!=='loading'){ fn(); } else { document.addEventListener('DOMContentLoaded', fn); } }
-  function getSiteFrontUrl(){
-    var p = window.location.pathname;
-    // Expect admin path like /admin/site/{slug}/theme or similar
-    var m = p.match(/\/admin\/site\/([^\/]+)/);
-    if(m && m[1]){
-      return window.location.origin + '/s/' + m[1];
+  // Site slug and URLs are shared with the other admin scripts (enhanced-preset-system.js)
+  function getBasePath(){ return window.EnhancedPresetSystem.getBasePath(); }
+  function getSiteSlug(){ return window.EnhancedPresetSystem.getSiteSlug(); }
+  function getSiteFrontUrl(){ return window.EnhancedPresetSystem.getSiteUrl(); }
+
+  function loadPageChoice(){
+    var choice = { type: 'home', page: '', item: '', query: '' };
+    try {
+      var saved = JSON.parse(window.localStorage.getItem(PAGE_STORAGE_PREFIX + getSiteSlug()) || '{}');
+      Object.keys(choice).forEach(function(key){ if(typeof saved[key] === 'string'){ choice[key] = saved[key]; } });
+    } catch(e) {}
+    if(!PAGE_TYPES[choice.type]){ choice.type = 'home'; }
+    return choice;
+  }
+  function savePageChoice(choice){
+    try { window.localStorage.setItem(PAGE_STORAGE_PREFIX + getSiteSlug(), JSON.stringify(choice)); } catch(e) {}
+  }
+
+  /**
+   * Preview URL for a page choice, with presetPreview=1 and any extra query parameters
+   */
+  function buildPreviewUrl(choice, params){
+    var base = getSiteFrontUrl();
+    var path = base;
+    switch(choice.type){
+      case 'page': path = choice.page ? base + '/page/' + encodeURIComponent(choice.page) : base; break;
+      case 'item': path = /^\d+$/.test(choice.item) ? base + '/item/' + choice.item : base + '/item'; break;
+      case 'items': path = base + '/item'; break;
+      case 'item_sets': path = base + '/item-set'; break;
+      case 'search': path = base + '/index/search'; break;
+    }
+    var url = new URL(path);
+    if(choice.type === 'search'){ url.searchParams.set('fulltext_search', choice.query); }
+    url.searchParams.set('presetPreview', '1');
+    if(params){ params.forEach(function(value, key){ url.searchParams.set(key, value); }); }
+    return url.toString();
+  }
+
+  // Omeka S REST API (read-only, with the admin's session)
+  function apiGet(resource, query){
+    var url = new URL(window.location.origin + getBasePath() + '/api/' + resource);
+    Object.keys(query || {}).forEach(function(key){ url.searchParams.set(key, query[key]); });
+    return fetch(url.toString(), { credentials: 'same-origin', headers: { Accept: 'application/json' } }).then(function(res){
+      if(!res.ok){ throw new Error('HTTP ' + res.status + ' for ' + resource); }
+      return res.json().then(function(data){
+        return { data: data, total: parseInt(res.headers.get('Omeka-S-Total-Results'), 10) || 0 };
+      });
+    });
+  }
+  var siteIdRequest = null;
+  function getSiteId(){
+    if(!siteIdRequest){
+      siteIdRequest = apiGet('sites', { slug: getSiteSlug() }).then(function(res){
+        if(!res.data.length){ throw new Error('Site not found: ' + getSiteSlug()); }
+        return res.data[0]['o:id'];
+      });
+      siteIdRequest.catch(function(){ siteIdRequest = null; });
     }
-    return window.location.origin + '/';
+    return siteIdRequest;
+  }
+  function loadSitePages(){
+    return getSiteId().then(function(siteId){
+      return apiGet('site_pages', { site_id: siteId, per_page: 200, sort_by: 'title' });
+    }).then(function(res){
+      return res.data.map(function(page){ return { slug: page['o:slug'], title: page['o:title'] }; });
+    });
+  }
+  // Random item in the site: count first, then fetch one at a random offset
+  function pickRandomItem(){
+    return getSiteId().then(function(siteId){
+      return apiGet('items', { site_id: siteId, per_page: 1 }).then(function(res){
+        if(!res.total){ throw new Error('This site has no items'); }
+        return apiGet('items', { site_id: siteId, per_page: 1, page: 1 + Math.floor(Math.random() * res.total) });
+      });
+    }).then(function(res){
+      return String(res.data[0]['o:id']);
+    });
+  }
+  function getFieldName(el){
+    // Plain names, or bracketed ones like o:settings[h1_font_color]
+    var m = (el.name || '').match(/\[([^\]]+)\]$/);
+    return m ? m[1] : el.name;
+  }
+  function getFieldValue(el){
+    if(el.type === 'checkbox'){ return el.checked ? '1' : '0'; }
+    return el.value;
   }
   onReady(function(){
     var isAdmin = window.location.pathname.indexOf('/admin') !== -1;
-    var onThemePage = /\/admin\/site\/[^\/]+\/theme/.test(window.location.pathname) || /\/admin\/site\/[^\/]+\/setting/.test(window.location.pathname);
+    var onThemePage = /\/admin\/site\/(?:s\/)?[^\/]+\/(theme|setting)/.test(window.location.pathname);
     if(!isAdmin || !onThemePage) return;
 
     var select = document.querySelector('#style_preset, [name="style_preset"]');
@@ -21,9 +115,18 @@
     var insertAfter = select ? (select.closest('.field') || select.closest('div') || select) : null;
     var container = document.createElement('div');
     container.className = 'admin-inline-preview';
-    container.innerHTML = '<div class="admin-inline-preview__head">Live preset preview</div>' +
+    container.innerHTML = '<div class="admin-inline-preview__head">Live preset preview' +
+      ' <span class="admin-inline-preview__status" aria-live="polite"></span></div>' +
       '<div class="admin-inline-preview__body">' +
-      '  <iframe class="admin-inline-preview__frame" src="' + getSiteFrontUrl() + '?presetPreview=1" frameborder="0" loading="lazy"></iframe>' +
+      '  <div class="admin-inline-preview__pages">' +
+      '    <select class="admin-inline-preview__page-type" aria-label="Page to preview"></select>' +
+      '    <select class="admin-inline-preview__page" aria-label="Site page" hidden></select>' +
+      '    <input type="text" class="admin-inline-preview__item" inputmode="numeric" placeholder="Item ID" aria-label="Item ID" size="8" hidden>' +
+      '    <button type="button" class="admin-inline-preview__random" hidden>Random item</button>' +
+      '    <input type="search" class="admin-inline-preview__query" placeholder="Search words" aria-label="Search words" hidden>' +
+      '  </div>' +
+      '  <iframe class="admin-inline-preview__frame" frameborder="0" loading="lazy"></iframe>' +
+      '  <div class="admin-inline-preview__note" hidden></div>' +
       '</div>';
 
     if(insertAfter && insertAfter.parentNode){
@@ -35,6 +138,59 @@
     }
 
     var frame = container.querySelector('.admin-inline-preview__frame');
+    var statusEl = container.querySelector('.admin-inline-preview__status');
+    var noteEl = container.querySelector('.admin-inline-preview__note');
+    var settingsForm = (select && select.closest('form')) || document.querySelector('form');
+    var previewOrigin = new URL(getSiteFrontUrl(), window.location.href).origin;
+    var pageChoice = loadPageChoice();
+    frame.src = buildPreviewUrl(pageChoice);
+
+    // Device-size toolbar (preview-viewport.js)
+    if(window.LibraryPreviewViewport){ window.LibraryPreviewViewport.attach(frame); }
+
+    var live = false;
+    var readyTimer = null;
+    var pending = {};
+    var flushTimer = null;
+    // Fields edited since the page loaded; only those are worth reporting as "needs saving"
+    var changed = {};
+    var unsupported = {};
+
+    function setStatus(text){ statusEl.textContent = text ? '· ' + text : ''; }
+
+    function renderNote(){
+      var names = Object.keys(unsupported).filter(function(name){ return changed[name]; });
+      noteEl.hidden = !names.length;
+      noteEl.textContent = names.length ? 'Shown after saving: ' + names.join(', ') : '';
+    }
+
+    function collectSettings(){
+      var settings = {};
+      if(!settingsForm) return settings;
+      Array.prototype.forEach.call(settingsForm.querySelectorAll('input[name], select[name], textarea[name]'), function(el){
+        // Skip the hidden "0" Laminas renders before each checkbox, and helper inputs without a name
+        if(el.type === 'hidden' && settingsForm.querySelector('[type="checkbox"][name="' + el.name + '"]')) return;
+        if(el.type === 'file' || el.type === 'submit') return;
+        settings[getFieldName(el)] = getFieldValue(el);
+      });
+      return settings;
+    }
+
+    function post(type, data){
+      if(!frame.contentWindow) return;
+      var message = { type: MESSAGE_PREFIX + type };
+      Object.keys(data || {}).forEach(function(key){ message[key] = data[key]; });
+      frame.contentWindow.postMessage(message, previewOrigin);
+    }
+
+    function flush(){
+      flushTimer = null;
+      var settings = pending;
+      pending = {};
+      if(Object.keys(settings).length){ post('settings', { settings: settings }); }
+    }
+
+    // Fallback: the preview page understands a few query-string overrides (view/common/preset-preview.phtml)
     function buildOverrideQS(){
       var params = new URLSearchParams();
       // map of field name => query key in preview
@@ -49,7 +205,7 @@
         var el = document.querySelector('[name="'+name+'"]');
         if(!el) return;
         var val = (el.type==='color') ? el.value : (el.value || '');
-        if(val){ 
+        if(val){
           // Only add '#' prefix for color fields, pass other values as-is
           var isColorField = el.type === 'color' || name.includes('_color') || name === 'primary_color' || name === 'sacred_gold';
           var processedVal = isColorField ? val.replace(/^#?/, '#') : val.trim();
@@ -58,25 +214,155 @@
       });
       return params.toString();
     }
+    var FALLBACK_FIELDS = ['primary_color','sacred_gold','body_font_color','h1_font_family','body_font_family'];
+    var reloadTimer = null;
     function reloadPreview(){
-      var base = getSiteFrontUrl() + '?presetPreview=1';
-      var qs = buildOverrideQS();
-      frame.src = qs ? (base + '&' + qs) : base;
+      frame.src = buildPreviewUrl(pageChoice, new URLSearchParams(buildOverrideQS()));
     }
 
-    // Live update on change for relevant controls
-    ['primary_color','sacred_gold','body_font_color','h1_font_family','body_font_family'].forEach(function(name){
-      var el = document.querySelector('[name="'+name+'"]');
-      if(el){ el.addEventListener('input', reloadPreview); el.addEventListener('change', reloadPreview); }
+    // Page picker
+    var pages = container.querySelector('.admin-inline-preview__pages');
+    var typeSelect = pages.querySelector('.admin-inline-preview__page-type');
+    var pageSelect = pages.querySelector('.admin-inline-preview__page');
+    var itemInput = pages.querySelector('.admin-inline-preview__item');
+    var randomButton = pages.querySelector('.admin-inline-preview__random');
+    var queryInput = pages.querySelector('.admin-inline-preview__query');
+    var pagesLoaded = false;
+
+    Object.keys(PAGE_TYPES).forEach(function(type){
+      var option = document.createElement('option');
+      option.value = type;
+      option.textContent = PAGE_TYPES[type];
+      typeSelect.appendChild(option);
     });
+    typeSelect.value = pageChoice.type;
+    itemInput.value = pageChoice.item;
+    queryInput.value = pageChoice.query;
+
+    function showPage(){
+      savePageChoice(pageChoice);
+      // Keep unsaved edits in the fallback mode too
+      reloadPreview();
+    }
+    function fillPageSelect(){
+      if(pagesLoaded) return;
+      pagesLoaded = true;
+      pageSelect.innerHTML = '<option value="">Loading pages…</option>';
+      loadSitePages().then(function(list){
+        pageSelect.textContent = '';
+        list.forEach(function(page){
+          var option = document.createElement('option');
+          option.value = page.slug;
+          option.textContent = page.title;
+          pageSelect.appendChild(option);
+        });
+        if(!list.length){ pageSelect.innerHTML = '<option value="">No pages</option>'; return; }
+        // First visit: show the first page straight away
+        if(!pageChoice.page || !list.some(function(page){ return page.slug === pageChoice.page; })){
+          pageChoice.page = list[0].slug;
+          if(pageChoice.type === 'page'){ showPage(); }
+        }
+        pageSelect.value = pageChoice.page;
+      }).catch(function(err){
+        pagesLoaded = false;
+        pageSelect.innerHTML = '<option value="">Pages unavailable</option>';
+        setStatus('could not load pages (' + err.message + ')');
+      });
+    }
+    function randomItem(){
+      randomButton.disabled = true;
+      pickRandomItem().then(function(id){
+        pageChoice.item = itemInput.value = id;
+        showPage();
+      }).catch(function(err){
+        setStatus('could not pick an item (' + err.message + ')');
+      }).then(function(){ randomButton.disabled = false; });
+    }
+    function syncPicker(){
+      pageSelect.hidden = pageChoice.type !== 'page';
+      itemInput.hidden = randomButton.hidden = pageChoice.type !== 'item';
+      queryInput.hidden = pageChoice.type !== 'search';
+      if(pageChoice.type === 'page'){ fillPageSelect(); }
+    }
 
-    // Optional: reload preview after saving theme settings (detect submit)
-    var formEl = document.querySelector('form');
-    if(formEl){
-      formEl.addEventListener('submit', function(){
-        // After save, page reload will refresh iframe. No action here.
+    typeSelect.addEventListener('change', function(){
+      pageChoice.type = typeSelect.value;
+      syncPicker();
+      // An item page needs an item; sample one rather than showing the browse page
+      if(pageChoice.type === 'item' && !/^\d+$/.test(pageChoice.item)){ randomItem(); return; }
+      showPage();
+    });
+    pageSelect.addEventListener('change', function(){
+      if(!pageSelect.value) return;
+      pageChoice.page = pageSelect.value;
+      showPage();
+    });
+    itemInput.addEventListener('change', function(){
+      var id = itemInput.value.trim();
+      if(id && !/^\d+$/.test(id)){ itemInput.value = pageChoice.item; return; }
+      pageChoice.item = id;
+      showPage();
+    });
+    randomButton.addEventListener('click', randomItem);
+    // The picker sits inside the settings form: Enter must not submit it
+    [itemInput, queryInput].forEach(function(input){
+      input.addEventListener('keydown', function(e){
+        if(e.key !== 'Enter') return;
+        e.preventDefault();
+        input.dispatchEvent(new Event('change'));
       });
+    });
+    queryInput.addEventListener('change', function(){
+      pageChoice.query = queryInput.value.trim();
+      showPage();
+    });
+    syncPicker();
+
+    frame.addEventListener('load', function(){
+      live = false;
+      setStatus('connecting…');
+      clearTimeout(readyTimer);
+      // The listener announces itself on load; ask again in case that message came first
+      post('ping');
+      readyTimer = setTimeout(function(){
+        setStatus('reloads on change (live updates unavailable)');
+      }, READY_TIMEOUT);
+    });
+
+    window.addEventListener('message', function(e){
+      if(e.source !== frame.contentWindow || e.origin !== previewOrigin) return;
+      var data = e.data || {};
+      if(data.type === MESSAGE_PREFIX + 'ready'){
+        if(live) return;
+        live = true;
+        clearTimeout(readyTimer);
+        setStatus('live');
+        // Bring the fresh page up to date with unsaved edits
+        pending = collectSettings();
+        flush();
+      } else if(data.type === MESSAGE_PREFIX + 'applied'){
+        (data.applied || []).forEach(function(name){ delete unsupported[name]; });
+        (data.unsupported || []).forEach(function(name){ unsupported[name] = true; });
+        renderNote();
+      }
+    });
+
+    function onFieldChange(e){
+      var el = e.target;
+      if(!el || !el.name || !settingsForm || !settingsForm.contains(el)) return;
+      var name = getFieldName(el);
+      changed[name] = true;
+      if(live){
+        pending[name] = getFieldValue(el);
+        if(!flushTimer){ flushTimer = setTimeout(flush, 30); }
+        return;
+      }
+      if(FALLBACK_FIELDS.indexOf(name) !== -1){
+        clearTimeout(reloadTimer);
+        reloadTimer = setTimeout(reloadPreview, 400);
+      }
     }
+    document.addEventListener('input', onFieldChange);
+    document.addEventListener('change', onFieldChange);
   });
 })();
-
@@ -7,6 +7,9 @@
     if (dbg.indexOf('captions') === -1) return;
   } catch (e) { return; }
 
+  // The debug=captions flag above also enables its output
+  var log = window.LibraryThemeLog.create('captions');
+
   function toRGBA(str){
     if (!str) return 'none';
     return str.trim();
@@ -17,7 +20,7 @@
     var bg = toRGBA(cs.backgroundColor);
     var border = cs.border;
     var shadow = cs.boxShadow;
-    console.log('[caption #' + idx + ']', el, { backgroundColor: bg, border: border, boxShadow: shadow });
+    log.debug('[caption #' + idx + ']', el, { backgroundColor: bg, border: border, boxShadow: shadow });
 
     // Walk up a few ancestors to see if background is inherited from container
     var parent = el.parentElement, hop = 0;
@@ -25,7 +28,7 @@
       var pcs = getComputedStyle(parent);
       var pbg = toRGBA(pcs.backgroundColor);
       if (pbg && pbg !== 'rgba(0, 0, 0, 0)' && pbg !== 'transparent') {
-        console.log('  ↳ parent[' + hop + ']:', parent, { backgroundColor: pbg });
+        log.debug('  ↳ parent[' + hop + ']:', parent, { backgroundColor: pbg });
       }
       parent = parent.parentElement;
       hop++;
@@ -45,29 +48,29 @@
     ].join(',');
 
     var nodes = document.querySelectorAll(selectors);
-    console.groupCollapsed('[LibraryTheme] Caption Debug: found ' + nodes.length + ' node(s)');
-    nodes.forEach(function(el, i){
-      try { el.style.outline = '2px dashed magenta'; } catch(_){ }
-      logCaption(el, i);
+    log.group('Caption Debug: found ' + nodes.length + ' node(s)', function(){
+      nodes.forEach(function(el, i){
+        try { el.style.outline = '2px dashed magenta'; } catch(_){ }
+        logCaption(el, i);
+      });
     });
-    console.groupEnd();
 
     // If none found, inspect the video thumbnail items themselves
     if (!nodes.length) {
       var items = document.querySelectorAll('.video-thumbnails .video-thumbnail-item, [data-template="grid"] .video-thumbnail-item');
-      console.group('[LibraryTheme] Video Thumbnail Items: ' + items.length + ' found');
-      items.forEach(function(it, i){
-        try { it.style.outline = '2px dashed orange'; } catch(_){ }
-        var cs = getComputedStyle(it);
-        console.log('[item #' + i + ']', it, { backgroundColor: toRGBA(cs.backgroundColor) });
-        var captionLike = it.querySelectorAll('[class*="caption"], figcaption, .caption');
-        console.log('  ↳ caption-like descendants:', captionLike.length);
-        captionLike.forEach(function(cn, j){
-          try { cn.style.outline = '2px dotted red'; } catch(_){ }
-          logCaption(cn, i + ':' + j);
+      log.group('Video Thumbnail Items: ' + items.length + ' found', function(){
+        items.forEach(function(it, i){
+          try { it.style.outline = '2px dashed orange'; } catch(_){ }
+          var cs = getComputedStyle(it);
+          log.debug('[item #' + i + ']', it, { backgroundColor: toRGBA(cs.backgroundColor) });
+          var captionLike = it.querySelectorAll('[class*="caption"], figcaption, .caption');
+          log.debug('  ↳ caption-like descendants:', captionLike.length);
+          captionLike.forEach(function(cn, j){
+            try { cn.style.outline = '2px dotted red'; } catch(_){ }
+            logCaption(cn, i + ':' + j);
+          });
         });
       });
-      console.groupEnd();
     }
   }
 
@@ -1,11 +1,8 @@
 (function(){
   'use strict';
 
-  function hasDebugFlag(){
-    try { return /(?:^|[?&])debug=([^&]+)/i.test(location.search) && /captions|dev/i.test(RegExp.$1); } catch(e){ return false; }
-  }
-  var DBG = hasDebugFlag();
-  function log(){ if (DBG) try { console.log.apply(console, arguments); } catch(_){} }
+  var logger = window.LibraryThemeLog.create('captions');
+  function log(){ logger.debug.apply(logger, arguments); }
 
   function run(){
     try {
@@ -1,74 +1,707 @@
 // Minimal, dependency-free color picker enhancer for Laminas Color inputs
-// Attaches to inputs[type=color] and paired hex inputs to provide a swatch and preset palette.
+// Attaches to inputs[type=color] and data-color-alpha text inputs to provide a swatch,
+// a text box that accepts any CSS color, an alpha slider where supported and a preset palette.
 (function(){
   'use strict';
 
+  // CSS named colors (CSS Color Module Level 4)
+  const NAMED_COLORS = ('aliceblue:f0f8ff,antiquewhite:faebd7,aqua:00ffff,aquamarine:7fffd4,azure:f0ffff,beige:f5f5dc,' +
+    'bisque:ffe4c4,black:000000,blanchedalmond:ffebcd,blue:0000ff,blueviolet:8a2be2,brown:a52a2a,burlywood:deb887,' +
+    'cadetblue:5f9ea0,chartreuse:7fff00,chocolate:d2691e,coral:ff7f50,cornflowerblue:6495ed,cornsilk:fff8dc,' +
+    'crimson:dc143c,cyan:00ffff,darkblue:00008b,darkcyan:008b8b,darkgoldenrod:b8860b,darkgray:a9a9a9,darkgreen:006400,' +
+    'darkgrey:a9a9a9,darkkhaki:bdb76b,darkmagenta:8b008b,darkolivegreen:556b2f,darkorange:ff8c00,darkorchid:9932cc,' +
+    'darkred:8b0000,darksalmon:e9967a,darkseagreen:8fbc8f,darkslateblue:483d8b,darkslategray:2f4f4f,' +
+    'darkslategrey:2f4f4f,darkturquoise:00ced1,darkviolet:9400d3,deeppink:ff1493,deepskyblue:00bfff,dimgray:696969,' +
+    'dimgrey:696969,dodgerblue:1e90ff,firebrick:b22222,floralwhite:fffaf0,forestgreen:228b22,fuchsia:ff00ff,' +
+    'gainsboro:dcdcdc,ghostwhite:f8f8ff,gold:ffd700,goldenrod:daa520,gray:808080,green:008000,greenyellow:adff2f,' +
+    'grey:808080,honeydew:f0fff0,hotpink:ff69b4,indianred:cd5c5c,indigo:4b0082,ivory:fffff0,khaki:f0e68c,' +
+    'lavender:e6e6fa,lavenderblush:fff0f5,lawngreen:7cfc00,lemonchiffon:fffacd,lightblue:add8e6,lightcoral:f08080,' +
+    'lightcyan:e0ffff,lightgoldenrodyellow:fafad2,lightgray:d3d3d3,lightgreen:90ee90,lightgrey:d3d3d3,' +
+    'lightpink:ffb6c1,lightsalmon:ffa07a,lightseagreen:20b2aa,lightskyblue:87cefa,lightslategray:778899,' +
+    'lightslategrey:778899,lightsteelblue:b0c4de,lightyellow:ffffe0,lime:00ff00,limegreen:32cd32,linen:faf0e6,' +
+    'magenta:ff00ff,maroon:800000,mediumaquamarine:66cdaa,mediumblue:0000cd,mediumorchid:ba55d3,' +
+    'mediumpurple:9370db,mediumseagreen:3cb371,mediumslateblue:7b68ee,mediumspringgreen:00fa9a,' +
+    'mediumturquoise:48d1cc,mediumvioletred:c71585,midnightblue:191970,mintcream:f5fffa,mistyrose:ffe4e1,' +
+    'moccasin:ffe4b5,navajowhite:ffdead,navy:000080,oldlace:fdf5e6,olive:808000,olivedrab:6b8e23,orange:ffa500,' +
+    'orangered:ff4500,orchid:da70d6,palegoldenrod:eee8aa,palegreen:98fb98,paleturquoise:afeeee,' +
+    'palevioletred:db7093,papayawhip:ffefd5,peachpuff:ffdab9,peru:cd853f,pink:ffc0cb,plum:dda0dd,' +
+    'powderblue:b0e0e6,purple:800080,rebeccapurple:663399,red:ff0000,rosybrown:bc8f8f,royalblue:4169e1,' +
+    'saddlebrown:8b4513,salmon:fa8072,sandybrown:f4a460,seagreen:2e8b57,seashell:fff5ee,sienna:a0522d,' +
+    'silver:c0c0c0,skyblue:87ceeb,slateblue:6a5acd,slategray:708090,slategrey:708090,snow:fffafa,' +
+    'springgreen:00ff7f,steelblue:4682b4,tan:d2b48c,teal:008080,thistle:d8bfd8,tomato:ff6347,turquoise:40e0d0,' +
+    'violet:ee82ee,wheat:f5deb3,white:ffffff,whitesmoke:f5f5f5,yellow:ffff00,yellowgreen:9acd32')
+    .split(',').reduce((map, pair)=>{ const p = pair.split(':'); map[p[0]] = '#' + p[1]; return map; }, {});
+
+  // One rgb()/hsl() argument: plain number, percentage (of `scale`) or, for hue, degrees
+  function parseChannel(part, scale){
+    const m = String(part).trim().match(/^(-?\d*\.?\d+)(%|deg)?$/);
+    if (!m) return null;
+    const n = parseFloat(m[1]);
+    return m[2] === '%' ? n / 100 * scale : n;
+  }
+
+  /**
+   * Parse any CSS color the settings accept
+   *
+   * Hex (#rgb, #rgba, #rrggbb, #rrggbbaa), rgb()/rgba(), hsl()/hsla() in comma or
+   * space syntax, color names and transparent.
+   *
+   * @returns {{r: number, g: number, b: number, a: number}|null} Channels 0-255, alpha 0-1
+   */
+  function parseColor(value){
+    const v = String(value == null ? '' : value).trim().toLowerCase();
+    if (!v) return null;
+    if (v === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+    if (NAMED_COLORS[v]) return parseColor(NAMED_COLORS[v]);
+
+    let m = v.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+    if (m) {
+      let hex = m[1];
+      if (hex.length <= 4) hex = hex.split('').map((c)=> c + c).join('');
+      return {
+        r: parseInt(hex.slice(0, 2), 16),
+        g: parseInt(hex.slice(2, 4), 16),
+        b: parseInt(hex.slice(4, 6), 16),
+        a: hex.length === 8 ? Math.round(parseInt(hex.slice(6, 8), 16) / 255 * 1000) / 1000 : 1
+      };
+    }
+
+    m = v.match(/^(rgba?|hsla?)\(([^)]*)\)$/);
+    if (!m) return null;
+    // "r, g, b[, a]" or "r g b[ / a]"
+    const parts = m[2].indexOf(',') !== -1 ? m[2].split(',') : m[2].replace('/', ' / ').trim().split(/\s+/).filter((p)=> p !== '/');
+    if (parts.length < 3 || parts.length > 4) return null;
+    const alpha = parts.length === 4 ? parseChannel(parts[3], 1) : 1;
+    if (alpha === null) return null;
+    const a = Math.max(0, Math.min(1, alpha));
+
+    if (m[1].charAt(0) === 'r') {
+      const channels = parts.slice(0, 3).map((p)=> parseChannel(p, 255));
+      if (channels.some((c)=> c === null)) return null;
+      const clamp = (c)=> Math.max(0, Math.min(255, Math.round(c)));
+      return { r: clamp(channels[0]), g: clamp(channels[1]), b: clamp(channels[2]), a: a };
+    }
+    const h = parseChannel(parts[0], 360), sat = parseChannel(parts[1], 100), light = parseChannel(parts[2], 100);
+    if (h === null || sat === null || light === null) return null;
+    const rgb = hslToRgb({ h: h, s: sat, l: light });
+    return { r: Math.round(rgb.r), g: Math.round(rgb.g), b: Math.round(rgb.b), a: a };
+  }
+
+  /**
+   * Normalized form stored in the settings: #rrggbb, or #rrggbbaa when translucent
+   *
+   * @param {boolean} [allowAlpha] false drops the alpha channel
+   */
+  function formatColor(color, allowAlpha){
+    const hex = rgbToHex(color);
+    if (!allowAlpha || color.a === undefined || color.a >= 1) return hex;
+    return hex + Math.round(color.a * 255).toString(16).padStart(2, '0');
+  }
+
+  /**
+   * Parse and normalize a color value
+   *
+   * @returns {string|null} null when the value is not a color, or is translucent and alpha is not allowed
+   */
+  function normalizeColor(value, allowAlpha){
+    const color = parseColor(value);
+    if (!color || (!allowAlpha && color.a < 1)) return null;
+    return formatColor(color, allowAlpha);
+  }
+
+  // Color math shared with the other admin scripts (window.LibraryColorPicker)
+  function normalizeHex(value){
+    return normalizeColor(value, false);
+  }
+
+  function hexToRgb(hex){
+    const color = parseColor(hex);
+    return color ? { r: color.r, g: color.g, b: color.b } : null;
+  }
+
+  // Flatten a translucent color onto an opaque background
+  function composite(value, background){
+    const color = parseColor(value), bg = hexToRgb(background);
+    if (!color || !bg) return null;
+    return rgbToHex({ r: bg.r + (color.r - bg.r) * color.a, g: bg.g + (color.g - bg.g) * color.a, b: bg.b + (color.b - bg.b) * color.a });
+  }
+
+  function rgbToHex(rgb){
+    const part = (n)=> Math.max(0, Math.min(255, Math.round(n))).toString(16).padStart(2, '0');
+    return '#' + part(rgb.r) + part(rgb.g) + part(rgb.b);
+  }
+
+  // h in degrees, s/l in percent
+  function rgbToHsl(rgb){
+    const r = rgb.r / 255, g = rgb.g / 255, b = rgb.b / 255;
+    const max = Math.max(r, g, b), min = Math.min(r, g, b);
+    const l = (max + min) / 2;
+    let h = 0, s = 0;
+    if (max !== min) {
+      const d = max - min;
+      s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+      if (max === r) h = (g - b) / d + (g < b ? 6 : 0);
+      else if (max === g) h = (b - r) / d + 2;
+      else h = (r - g) / d + 4;
+      h *= 60;
+    }
+    return { h: h, s: s * 100, l: l * 100 };
+  }
+
+  function hslToRgb(hsl){
+    const h = (((hsl.h % 360) + 360) % 360) / 360;
+    const s = Math.max(0, Math.min(100, hsl.s)) / 100;
+    const l = Math.max(0, Math.min(100, hsl.l)) / 100;
+    if (s === 0) return { r: l * 255, g: l * 255, b: l * 255 };
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    const p = 2 * l - q;
+    const channel = (t)=>{
+      if (t < 0) t += 1;
+      if (t > 1) t -= 1;
+      if (t < 1 / 6) return p + (q - p) * 6 * t;
+      if (t < 1 / 2) return q;
+      if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+      return p;
+    };
+    return { r: channel(h + 1 / 3) * 255, g: channel(h) * 255, b: channel(h - 1 / 3) * 255 };
+  }
+
+  function hexToHsl(hex){
+    const rgb = hexToRgb(hex);
+    return rgb ? rgbToHsl(rgb) : null;
+  }
+
+  function hslToHex(hsl){
+    return rgbToHex(hslToRgb(hsl));
+  }
+
+  // Blend two colors; weight is the share of the second color (0-1)
+  function mix(hexA, hexB, weight){
+    const a = hexToRgb(hexA), b = hexToRgb(hexB);
+    if (!a || !b) return null;
+    return rgbToHex({ r: a.r + (b.r - a.r) * weight, g: a.g + (b.g - a.g) * weight, b: a.b + (b.b - a.b) * weight });
+  }
+
+  // WCAG 2.x relative luminance
+  function relativeLuminance(hex){
+    const rgb = hexToRgb(hex);
+    if (!rgb) return null;
+    const lin = (c)=>{ c /= 255; return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4); };
+    return 0.2126 * lin(rgb.r) + 0.7152 * lin(rgb.g) + 0.0722 * lin(rgb.b);
+  }
+
+  function contrastRatio(hexA, hexB){
+    const a = relativeLuminance(hexA), b = relativeLuminance(hexB);
+    if (a === null || b === null) return null;
+    return (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+  }
+
+  // Foreground/background pairs the theme renders (see view/common/theme-setting-css.phtml).
+  // Page content sits on white; large: headings, where WCAG allows 3:1 (AA) and 4.5:1 (AAA).
+  const PAGE_BACKGROUND = '#ffffff';
+  const CONTRAST_PAIRS = [
+    { fg: 'h1_font_color', bg: null, label: 'H1 on page', large: true },
+    { fg: 'h2_font_color', bg: null, label: 'H2 on page', large: true },
+    { fg: 'h3_font_color', bg: null, label: 'H3 on page', large: true },
+    { fg: 'page_title_font_color', bg: null, label: 'Page title on page', large: true },
+    { fg: 'body_font_color', bg: null, label: 'Body text on page' },
+    { fg: 'h1_hover_text_color', bg: 'h1_hover_background_color', label: 'H1 hover', large: true },
+    { fg: 'h2_hover_text_color', bg: 'h2_hover_background_color', label: 'H2 hover', large: true },
+    { fg: 'h3_hover_text_color', bg: 'h3_hover_background_color', label: 'H3 hover', large: true },
+    { fg: 'menu_text_color', bg: 'menu_background_color', label: 'Menu text' },
+    { fg: 'toc_text_color', bg: 'toc_background_color', label: 'TOC text' },
+    { fg: 'toc_hover_text_color', bg: 'toc_hover_background_color', label: 'TOC hover' },
+    { fg: 'pagination_font_color', bg: 'pagination_background_color', label: 'Pagination text' },
+    { fg: 'pagination_hover_text_color', bg: 'pagination_hover_background_color', label: 'Pagination hover' },
+    { fg: 'footer_text_color', bg: 'footer_background_color', label: 'Footer text' }
+  ];
+
+  function contrastLevels(pair){
+    return pair.large ? { aa: 3, aaa: 4.5 } : { aa: 4.5, aaa: 7 };
+  }
+
+  /**
+   * Closest color to fg (same hue and saturation) that reaches the target ratio on bg
+   */
+  function nearestPassingColor(fg, bg, target){
+    const hsl = hexToHsl(fg);
+    if (!hsl || !hexToRgb(bg)) return null;
+    let best = null;
+    [-1, 1].forEach((direction)=>{
+      for (let l = hsl.l; l >= 0 && l <= 100; l += direction) {
+        const candidate = hslToHex({ h: hsl.h, s: hsl.s, l: l });
+        if (contrastRatio(candidate, bg) >= target) {
+          if (!best || Math.abs(l - hsl.l) < best.distance) best = { color: candidate, distance: Math.abs(l - hsl.l) };
+          return;
+        }
+      }
+    });
+    return best ? best.color : (contrastRatio('#000000', bg) >= contrastRatio('#ffffff', bg) ? '#000000' : '#ffffff');
+  }
+
+  const PICKER_SELECTOR = 'input[type="color"], input[data-color-alpha]';
+
+  function findColorInput(name){
+    return Array.from(document.querySelectorAll(PICKER_SELECTOR)).find((input)=>
+      input.name === name || input.name.slice(-(name.length + 2)) === `[${name}]`) || null;
+  }
+
+  function setPickerValue(input, value){
+    input.value = value;
+    input.dispatchEvent(new Event('input', {bubbles:true}));
+    input.dispatchEvent(new Event('change', {bubbles:true}));
+  }
+
+  // Unsaved settings render as #000000 in the picker but use the theme default on the site
+  function isUnset(input){
+    return !input.getAttribute('value') && !input.dataset.colorChanged;
+  }
+
+  function getContrastBadge(input){
+    const wrapper = input.closest('.color-picker-wrapper') || input.parentNode;
+    let badge = wrapper.querySelector('.color-contrast');
+    if (!badge) {
+      badge = document.createElement('span');
+      badge.className = 'color-contrast';
+      wrapper.appendChild(badge);
+    }
+    return badge;
+  }
+
+  /**
+   * Check every pair on the page: ratio badge next to each picker, summary at the top of the form
+   *
+   * @returns {Array} Failing pairs as {label, ratio, required, fg, suggestion}
+   */
+  function checkContrast(){
+    const failures = [];
+    CONTRAST_PAIRS.forEach((pair)=>{
+      const fgInput = findColorInput(pair.fg);
+      const bgInput = pair.bg ? findColorInput(pair.bg) : null;
+      if (!fgInput || (pair.bg && !bgInput)) return;
+      if (isUnset(fgInput) || (bgInput && isUnset(bgInput))) {
+        [fgInput, bgInput].forEach((input)=>{
+          if (!input) return;
+          const badge = getContrastBadge(input);
+          badge.textContent = 'theme default';
+          badge.title = `${pair.label}: not set, the theme default is used`;
+          badge.dataset.level = 'unset';
+        });
+        return;
+      }
+      // Translucent colors are judged as they appear on what is behind them
+      const bg = bgInput ? composite(bgInput.value, PAGE_BACKGROUND) : PAGE_BACKGROUND;
+      const fg = bg && composite(fgInput.value, bg);
+      const ratio = fg ? contrastRatio(fg, bg) : null;
+      if (ratio === null) return;
+
+      const levels = contrastLevels(pair);
+      const level = ratio >= levels.aaa ? 'AAA' : (ratio >= levels.aa ? 'AA' : 'Fail');
+      const text = `${ratio.toFixed(2)}:1 ${level}`;
+      const title = `${pair.label}: ${ratio.toFixed(2)}:1 (AA needs ${levels.aa}:1, AAA ${levels.aaa}:1)`;
+
+      [fgInput, bgInput].forEach((input)=>{
+        if (!input) return;
+        const badge = getContrastBadge(input);
+        badge.textContent = input === fgInput ? text : `${text} (${pair.label.toLowerCase()})`;
+        badge.title = title;
+        badge.dataset.level = level.toLowerCase();
+      });
+
+      // One-click fix on the foreground picker
+      const fgBadge = getContrastBadge(fgInput);
+      if (level === 'Fail') {
+        const suggestion = nearestPassingColor(fg, bg, levels.aa);
+        const fix = document.createElement('button');
+        fix.type = 'button';
+        fix.className = 'color-contrast-fix';
+        fix.textContent = `Use ${suggestion}`;
+        fix.title = `Nearest color with ${levels.aa}:1 contrast`;
+        fix.addEventListener('click', ()=> setPickerValue(fgInput, suggestion));
+        fgBadge.appendChild(fix);
+        failures.push({ label: pair.label, ratio, required: levels.aa, fg: pair.fg, suggestion });
+      }
+    });
+    renderContrastSummary(failures);
+    return failures;
+  }
+
+  function renderContrastSummary(failures){
+    const first = document.querySelector('input[type="color"]');
+    const form = first && first.closest('form');
+    if (!form) return;
+    let summary = form.querySelector('.color-contrast-summary');
+    if (!summary) {
+      summary = document.createElement('div');
+      summary.className = 'color-contrast-summary';
+      summary.setAttribute('role', 'status');
+      form.insertBefore(summary, form.firstChild);
+    }
+    summary.textContent = '';
+    summary.hidden = !failures.length;
+    if (!failures.length) return;
+
+    const heading = document.createElement('strong');
+    heading.textContent = `${failures.length} color pair(s) fail WCAG AA contrast:`;
+    summary.appendChild(heading);
+    const list = document.createElement('ul');
+    failures.forEach((failure)=>{
+      const item = document.createElement('li');
+      const link = document.createElement('a');
+      link.href = '#';
+      link.textContent = failure.label;
+      link.addEventListener('click', (e)=>{
+        e.preventDefault();
+        const input = findColorInput(failure.fg);
+        const text = input && input.closest('.color-picker-wrapper') ? input.closest('.color-picker-wrapper').querySelector('.color-input') : input;
+        if (text) text.focus();
+      });
+      item.appendChild(link);
+      item.appendChild(document.createTextNode(` ${failure.ratio.toFixed(2)}:1, needs ${failure.required}:1`));
+      list.appendChild(item);
+    });
+    summary.appendChild(list);
+  }
+
+  // Palette: the admin's recent picks (per site), the active preset's colors and the colors on the form
+  const RECENT_COLORS_PREFIX = 'libraryTheme.recentColors.';
+  const RECENT_COLORS_LIMIT = 8;
+  const PALETTE_GROUP_LIMIT = 12;
+  // Shown when the form has no colors yet
+  const FALLBACK_SWATCHES = [
+    '#2C4A6B','#D4AF37','#1a365d','#4a6fa5','#ffffff','#000000',
+    '#2c5aa0','#f7c97f','#4a5568','#e2e8f0','#edf2f7','#f7fafc'
+  ];
+  const pickers = [];
+
+  function recentColorsKey(){
+    const presets = window.EnhancedPresetSystem;
+    return RECENT_COLORS_PREFIX + (presets ? presets.getSiteSlug() : '');
+  }
+
+  function loadRecentColors(){
+    try {
+      const list = JSON.parse(localStorage.getItem(recentColorsKey()) || '[]');
+      return Array.isArray(list) ? list.map((c)=> normalizeColor(c, true)).filter(Boolean) : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function rememberColor(value){
+    const color = normalizeColor(value, true);
+    if (!color) return;
+    const list = [color].concat(loadRecentColors().filter((c)=> c !== color)).slice(0, RECENT_COLORS_LIMIT);
+    try { localStorage.setItem(recentColorsKey(), JSON.stringify(list)); } catch (e) { /* storage full or disabled */ }
+    schedulePickerRefresh(['recent']);
+  }
+
+  function getFieldLabel(input){
+    const field = input.closest('.field');
+    const label = field && field.querySelector('label');
+    return label && label.textContent.trim() ? label.textContent.trim() : input.name;
+  }
+
+  /**
+   * Which fields currently hold each color
+   *
+   * @returns {Object} normalized color => inputs
+   */
+  function getColorUsage(){
+    const usage = {};
+    document.querySelectorAll(PICKER_SELECTOR).forEach((input)=>{
+      if (!input.name || isUnset(input)) return;
+      const color = normalizeColor(input.value, input.type !== 'color');
+      if (!color) return;
+      (usage[color] = usage[color] || []).push(input);
+    });
+    return usage;
+  }
+
+  function getPresetColors(){
+    const presets = window.EnhancedPresetSystem;
+    const select = document.querySelector('[name="style_preset"]');
+    if (!presets || !select) return [];
+    const settings = presets.getPreset(select.value) || {};
+    return Object.keys(settings).filter((name)=> /_color$/.test(name))
+      .map((name)=> normalizeColor(settings[name], true)).filter(Boolean);
+  }
+
+  // Each group is its own row in every picker, so a change only rebuilds the rows it affects
+  const PALETTE_GROUPS = ['recent', 'preset', 'form'];
+
+  function uniqueColors(colors){
+    return colors.filter((c, i)=> colors.indexOf(c) === i);
+  }
+
+  function getPaletteGroup(name, usage){
+    if (name === 'recent') return { label: 'Recent', colors: uniqueColors(loadRecentColors()) };
+    if (name === 'preset') return { label: 'Preset', colors: uniqueColors(getPresetColors()).slice(0, PALETTE_GROUP_LIMIT) };
+    // Most used first
+    const colors = Object.keys(usage).sort((a, b)=> usage[b].length - usage[a].length).slice(0, PALETTE_GROUP_LIMIT);
+    return colors.length
+      ? { label: 'On this form', colors }
+      : { label: 'Theme', colors: FALLBACK_SWATCHES.map((c)=> c.toLowerCase()) };
+  }
+
+  function describeUsage(inputs){
+    const labels = inputs.map(getFieldLabel);
+    return labels.length ? `Used by: ${labels.join(', ')}` : 'Not used by any other field yet';
+  }
+
+  function setSwatchUsage(button, picker, usage){
+    const c = button.dataset.color;
+    const description = describeUsage((usage[c] || []).filter((input)=> input !== picker.input));
+    button.title = `${c}\n${description}`;
+    button.setAttribute('aria-label', `${c}, ${description}`);
+  }
+
+  function renderPaletteGroups(names, usage){
+    const groups = {};
+    names.forEach((name)=>{ groups[name] = getPaletteGroup(name, usage); });
+    pickers.forEach((picker)=>{
+      names.forEach((name)=>{
+        const row = picker.rows[name];
+        const group = groups[name];
+        // Transparent colors only go to fields that can store them
+        const colors = picker.allowAlpha ? group.colors : group.colors.filter((c)=> c.length === 7);
+        row.textContent = '';
+        row.hidden = !colors.length;
+        if (!colors.length) return;
+        const label = document.createElement('span');
+        label.className = 'color-palette-label';
+        label.textContent = group.label;
+        row.appendChild(label);
+        colors.forEach((c)=>{
+          const b = document.createElement('button');
+          b.type = 'button';
+          b.className = 'color-swatch-btn';
+          b.style.background = c;
+          b.dataset.color = c;
+          setSwatchUsage(b, picker, usage);
+          b.addEventListener('click', ()=>{
+            picker.select(c);
+            picker.usageNote.textContent = `${c} – ${describeUsage((getColorUsage()[c] || []).filter((input)=> input !== picker.input))}`;
+          });
+          row.appendChild(b);
+        });
+      });
+    });
+  }
+
+  // Swatch tooltips follow typing without rebuilding any rows
+  function updateSwatchUsage(usage){
+    pickers.forEach((picker)=>{
+      picker.palette.querySelectorAll('.color-swatch-btn').forEach((b)=> setSwatchUsage(b, picker, usage));
+    });
+  }
+
+  // Contrast and swatch tooltips follow every color change, whether typed, picked or set by a preset.
+  // Palette rows are rebuilt once the value settles: recent on a pick, form colors on change, preset on a preset switch.
+  const PICKER_REFRESH_DELAY = 150;
+  const pendingGroups = [];
+  let refreshTimer = null;
+  function schedulePickerRefresh(groups){
+    (groups || []).forEach((name)=>{ if (pendingGroups.indexOf(name) === -1) pendingGroups.push(name); });
+    clearTimeout(refreshTimer);
+    refreshTimer = setTimeout(()=>{
+      checkContrast();
+      const usage = getColorUsage();
+      if (pendingGroups.length) renderPaletteGroups(pendingGroups.splice(0), usage);
+      updateSwatchUsage(usage);
+    }, PICKER_REFRESH_DELAY);
+  }
+
   function initColorPicker(input){
     if (!input || input.dataset.colorPickerAttached) return;
     input.dataset.colorPickerAttached = '1';
 
+    // Laminas Color inputs only hold #rrggbb. Fields that support transparency are text
+    // inputs marked data-color-alpha: they keep the value and get a native picker plus alpha slider.
+    const allowAlpha = input.type !== 'color';
+    let current = parseColor(input.value);
+
     // Create wrapper
     const wrapper = document.createElement('div');
     wrapper.className = 'color-picker-wrapper';
 
-    // Create swatch
+    // Create swatch (a checkerboard behind it shows transparency)
     const swatch = document.createElement('div');
     swatch.className = 'color-swatch';
-    swatch.style.background = input.value || '#000000';
 
-    // Create text input for hex value (sync both directions)
-    const text = document.createElement('input');
-    text.className = 'color-input';
-    text.type = 'text';
-    text.value = input.value || '#000000';
-    text.placeholder = '#RRGGBB';
+    // Text box accepts any CSS color; it is normalized on change
+    let text, native;
+    if (allowAlpha) {
+      text = input;
+      native = document.createElement('input');
+      native.type = 'color';
+      native.className = 'color-native';
+      native.dataset.colorPickerAttached = '1';
+      native.setAttribute('aria-label', 'Pick color');
+    } else {
+      native = input;
+      text = document.createElement('input');
+      text.type = 'text';
+    }
+    text.classList.add('color-input');
+    text.placeholder = allowAlpha ? '#RRGGBBAA, rgb(), hsl(), name' : '#RRGGBB, rgb(), hsl(), name';
+
+    let alpha = null;
+    if (allowAlpha) {
+      alpha = document.createElement('input');
+      alpha.type = 'range';
+      alpha.className = 'color-alpha';
+      alpha.min = '0';
+      alpha.max = '100';
+      alpha.setAttribute('aria-label', 'Opacity');
+    }
+
+    // What the form will submit
+    const normalized = document.createElement('span');
+    normalized.className = 'color-normalized';
+
+    function render(message){
+      // A checkerboard shows through translucent colors
+      const checkerboard = 'repeating-conic-gradient(#ccc 0% 25%, #fff 0% 50%) 0 0 / 10px 10px';
+      const css = current ? formatColor(current, true) : null;
+      swatch.style.background = !css ? checkerboard : (current.a < 1 ? `linear-gradient(${css}, ${css}), ${checkerboard}` : css);
+      if (current) native.value = rgbToHex(current);
+      if (alpha) {
+        alpha.value = String(Math.round((current ? current.a : 1) * 100));
+        alpha.title = `Opacity ${alpha.value}%`;
+      }
+      text.classList.toggle('is-invalid', !!message);
+      text.setAttribute('aria-invalid', message ? 'true' : 'false');
+      normalized.textContent = message || (current ? `Saves as ${formatColor(current, allowAlpha)}` : 'Not set (theme default)');
+    }
 
-    // Create quick palette with brand colors + common neutrals
+    // Write the normalized value into the submitted input and tell listeners (history, preview, contrast)
+    function commit(color, events){
+      current = color;
+      const value = formatColor(color, allowAlpha);
+      input.value = value;
+      if (text !== input) text.value = value;
+      render();
+      events.forEach((type)=> input.dispatchEvent(new Event(type, {bubbles:true})));
+    }
+
+    // Quick palette (filled by renderPaletteGroups) and where a picked color is already used
     const palette = document.createElement('div');
     palette.className = 'color-palette';
-    const swatches = [
-      '#2C4A6B','#D4AF37','#1a365d','#4a6fa5','#ffffff','#000000',
-      '#2c5aa0','#f7c97f','#4a5568','#e2e8f0','#edf2f7','#f7fafc'
-    ];
-    swatches.forEach((c)=>{
-      const b = document.createElement('button');
-      b.type = 'button';
-      b.className = 'color-swatch-btn';
-      b.style.background = c;
-      b.title = c;
-      b.addEventListener('click', ()=>{
-        input.value = c;
-        text.value = c;
-        swatch.style.background = c;
-        input.dispatchEvent(new Event('input', {bubbles:true}));
-        input.dispatchEvent(new Event('change', {bubbles:true}));
-      });
-      palette.appendChild(b);
+    const rows = {};
+    PALETTE_GROUPS.forEach((name)=>{
+      rows[name] = document.createElement('div');
+      rows[name].className = 'color-palette-group';
+      rows[name].hidden = true;
+      palette.appendChild(rows[name]);
+    });
+    const usageNote = document.createElement('div');
+    usageNote.className = 'color-usage';
+    usageNote.setAttribute('aria-live', 'polite');
+    pickers.push({
+      input,
+      allowAlpha,
+      palette,
+      rows,
+      usageNote,
+      select: (c)=>{
+        commit(parseColor(c), ['input', 'change']);
+        rememberColor(c);
+      }
     });
 
     // Insert wrapper before input and move input inside
     input.parentNode.insertBefore(wrapper, input);
     wrapper.appendChild(swatch);
     wrapper.appendChild(text);
-    wrapper.appendChild(input);
+    if (native !== text) wrapper.appendChild(native);
+    if (alpha) wrapper.appendChild(alpha);
     wrapper.appendChild(palette);
+    wrapper.appendChild(normalized);
+    wrapper.appendChild(usageNote);
+    if (!allowAlpha) text.value = input.value || '#000000';
+    render();
+
+    // Native picker: keep the current opacity
+    native.addEventListener('input', ()=>{
+      if (native === input) {
+        // Also fired by setFieldValue and the history on the submitted input
+        current = parseColor(input.value);
+        if (current && !typing) text.value = formatColor(current, false);
+        render();
+        return;
+      }
+      const picked = parseColor(native.value);
+      if (picked) commit(Object.assign(picked, { a: current ? current.a : 1 }), ['input']);
+    });
+    native.addEventListener('change', ()=>{
+      if (native !== input) input.dispatchEvent(new Event('change', {bubbles:true}));
+      rememberColor(input.value);
+    });
+
+    if (alpha) {
+      alpha.addEventListener('input', ()=>{
+        const base = current || parseColor(native.value);
+        commit(Object.assign({}, base, { a: Number(alpha.value) / 100 }), ['input']);
+      });
+      alpha.addEventListener('change', ()=>{
+        input.dispatchEvent(new Event('change', {bubbles:true}));
+        rememberColor(input.value);
+      });
+    }
 
-    // Sync changes from native color input -> text + swatch
-    input.addEventListener('input', ()=>{
-      const v = input.value;
-      if (v && /^#([0-9a-fA-F]{3}){1,2}$/.test(v)) {
-        text.value = v;
-        swatch.style.background = v;
+    // Typing: follow along while the value parses
+    let typing = false;
+    text.addEventListener('input', (e)=>{
+      const raw = text.value.trim();
+      const color = parseColor(raw);
+      if (!raw && allowAlpha) {
+        current = null;
+        render();
+        return;
+      }
+      if (!color) {
+        render(`"${raw}" is not a color yet`);
+        return;
+      }
+      if (!allowAlpha && color.a < 1) {
+        render('This setting cannot be transparent');
+        return;
+      }
+      current = color;
+      render();
+      if (text !== input) {
+        // Let preview/history listeners see typed values too, without rewriting the text being typed
+        input.value = formatColor(color, false);
+        typing = true;
+        input.dispatchEvent(new Event('input', {bubbles:true}));
+        typing = false;
+      } else if (!e.isTrusted && raw !== formatColor(color, true)) {
+        // Set from script (preset, history): show it normalized right away
+        text.value = formatColor(color, true);
       }
     });
 
-    // Sync changes from text -> native color input + swatch
-    text.addEventListener('input', ()=>{
-      const v = text.value.trim();
-      if (/^#([0-9a-fA-F]{3}){1,2}$/.test(v)) {
-        input.value = v;
-        swatch.style.background = v;
+    // Leaving the box: store the normalized value, or go back to the last valid one
+    text.addEventListener('change', ()=>{
+      const raw = text.value.trim();
+      const color = parseColor(raw);
+      if (!raw && allowAlpha) {
+        current = null;
+        render();
+        return;
+      }
+      if (!color || (!allowAlpha && color.a < 1)) {
+        text.value = current ? formatColor(current, allowAlpha) : '';
+        render(`"${raw}" is not a valid color; kept ${text.value || 'the theme default'}`);
+        return;
       }
+      if (text === input) {
+        if (raw !== formatColor(color, allowAlpha)) commit(color, ['input']);
+      } else {
+        commit(color, ['change']);
+      }
+      rememberColor(input.value);
     });
   }
 
@@ -76,10 +709,45 @@
     // Limit to admin page context only
     if (!location.pathname.includes('/admin')) return;
     // Find Laminas color elements
-    const inputs = document.querySelectorAll('input[type="color"]');
+    const inputs = document.querySelectorAll(PICKER_SELECTOR);
     inputs.forEach(initColorPicker);
+    checkContrast();
+    renderPaletteGroups(PALETTE_GROUPS, getColorUsage());
   }
 
+  document.addEventListener('input', (e)=>{
+    if (!e.target || !e.target.matches || !e.target.matches(PICKER_SELECTOR) || !location.pathname.includes('/admin')) return;
+    e.target.dataset.colorChanged = '1';
+    schedulePickerRefresh();
+  });
+  document.addEventListener('change', (e)=>{
+    if (!e.target || !pickers.length) return;
+    if (e.target.name === 'style_preset') schedulePickerRefresh(['preset']);
+    else if (e.target.matches && e.target.matches(PICKER_SELECTOR)) schedulePickerRefresh(['form']);
+  });
+
+  window.LibraryColorPicker = {
+    init: initColorPicker,
+    enhanceAll,
+    parseColor,
+    formatColor,
+    normalizeColor,
+    normalizeHex,
+    composite,
+    hexToRgb,
+    rgbToHex,
+    rgbToHsl,
+    hslToRgb,
+    hexToHsl,
+    hslToHex,
+    mix,
+    relativeLuminance,
+    contrastRatio,
+    nearestPassingColor,
+    checkContrast,
+    CONTRAST_PAIRS
+  };
+
   document.addEventListener('DOMContentLoaded', enhanceAll);
   document.addEventListener('omeka:form-updated', enhanceAll);
 })();
@@ -0,0 +1,260 @@
+/**
+ * Color Scheme Generator for the Omeka S theme settings page
+ * Derives every *_color theme setting from one or two brand colors.
+ * Uses window.LibraryColorPicker for the color math and window.EnhancedPresetSystem
+ * to review and apply the result.
+ */
+
+(function() {
+    'use strict';
+
+    // Only run in admin interface
+    if (!window.location.pathname.includes('/admin')) return;
+
+    const log = window.LibraryThemeLog.create('colors');
+
+    const MODES = {
+        monochrome: 'Monochrome',
+        complementary: 'Complementary',
+        analogous: 'Analogous'
+    };
+
+    // Which role each color setting takes in the scheme (shown in the review dialog)
+    const ROLE_LABELS = {
+        primary: 'brand color',
+        accent: 'accent',
+        dark: 'shade of brand color',
+        darker: 'deep shade of brand color',
+        tertiary: 'third color',
+        light: 'tint of brand color',
+        accentLight: 'tint of accent',
+        text: 'text',
+        onPrimary: 'readable on brand color',
+        onAccent: 'readable on accent',
+        onDarker: 'readable on deep shade',
+        onAccentLight: 'readable on accent tint'
+    };
+
+    const FIELD_ROLES = {
+        primary_color: 'primary',
+        accent_color: 'accent',
+        page_title_font_color: 'dark',
+        h1_font_color: 'dark',
+        h2_font_color: 'primary',
+        h3_font_color: 'tertiary',
+        body_font_color: 'text',
+        tagline_font_color: 'accent',
+        tagline_hover_text_color: 'onAccent',
+        tagline_hover_background_color: 'accent',
+        h1_hover_text_color: 'onAccent',
+        h1_hover_background_color: 'accent',
+        h2_hover_text_color: 'onAccent',
+        h2_hover_background_color: 'accent',
+        h3_hover_text_color: 'onAccent',
+        h3_hover_background_color: 'accent',
+        body_hover_text_color: 'onAccent',
+        body_hover_background_color: 'accent',
+        menu_background_color: 'darker',
+        menu_text_color: 'onDarker',
+        footer_background_color: 'darker',
+        footer_text_color: 'onDarker',
+        pagination_background_color: 'primary',
+        pagination_font_color: 'onPrimary',
+        pagination_hover_background_color: 'accent',
+        pagination_hover_text_color: 'onAccent',
+        pagination_hover_color: 'accent',
+        toc_background_color: 'light',
+        toc_border_color: 'accent',
+        toc_text_color: 'dark',
+        toc_hover_background_color: 'accentLight',
+        toc_hover_text_color: 'onAccentLight'
+    };
+
+    /**
+     * Build the scheme roles from the seed colors
+     *
+     * @param {string} seed Brand color (hex)
+     * @param {string} mode One of MODES
+     * @param {string} [secondSeed] Accent color to use instead of the one the mode derives
+     * @returns {Object|null} role => hex, or null when the seed is not a color
+     */
+    function generateRoles(seed, mode, secondSeed) {
+        const C = window.LibraryColorPicker;
+        const primary = C.normalizeHex(seed);
+        if (!primary) return null;
+        const hsl = C.hexToHsl(primary);
+
+        let accent = C.normalizeHex(secondSeed);
+        let tertiary = C.mix(primary, '#000000', 0.15);
+        if (!accent) {
+            switch (mode) {
+                case 'complementary':
+                    accent = C.hslToHex({ h: hsl.h + 180, s: hsl.s, l: Math.max(45, Math.min(65, hsl.l)) });
+                    break;
+                case 'analogous':
+                    accent = C.hslToHex({ h: hsl.h + 30, s: hsl.s, l: Math.max(45, Math.min(65, hsl.l)) });
+                    tertiary = C.hslToHex({ h: hsl.h - 30, s: hsl.s, l: Math.max(25, Math.min(40, hsl.l)) });
+                    break;
+                default:
+                    accent = C.hslToHex({ h: hsl.h, s: hsl.s, l: Math.min(hsl.l + 25, 70) });
+            }
+        }
+
+        // Dark text keeps a hint of the brand hue; light text is plain white
+        const darkText = C.hslToHex({ h: hsl.h, s: Math.min(hsl.s, 15), l: 15 });
+        const readableOn = (bg) => C.contrastRatio(darkText, bg) >= C.contrastRatio('#ffffff', bg) ? darkText : '#ffffff';
+
+        const roles = {
+            primary,
+            accent,
+            tertiary,
+            dark: C.mix(primary, '#000000', 0.35),
+            darker: C.mix(primary, '#000000', 0.55),
+            light: C.mix(primary, '#ffffff', 0.92),
+            accentLight: C.mix(accent, '#ffffff', 0.6),
+            text: C.hslToHex({ h: hsl.h, s: Math.min(hsl.s, 10), l: 20 })
+        };
+        roles.onPrimary = readableOn(roles.primary);
+        roles.onAccent = readableOn(roles.accent);
+        roles.onDarker = readableOn(roles.darker);
+        roles.onAccentLight = readableOn(roles.accentLight);
+        return roles;
+    }
+
+    /**
+     * Color settings for a generated scheme
+     *
+     * @returns {Object|null} setting name => hex
+     */
+    function generateScheme(seed, mode, secondSeed) {
+        const roles = generateRoles(seed, mode, secondSeed);
+        if (!roles) return null;
+        const values = {};
+        Object.keys(FIELD_ROLES).forEach(name => {
+            values[name] = roles[FIELD_ROLES[name]];
+        });
+        return values;
+    }
+
+    function previewScheme(seed, mode, secondSeed) {
+        const presets = window.EnhancedPresetSystem;
+        if (!presets || !window.LibraryColorPicker) {
+            log.warn('Color Scheme: enhanced-preset-system.js and color-picker.js are required');
+            return;
+        }
+        const values = generateScheme(seed, mode, secondSeed);
+        if (!values) {
+            presets.showNotification(`"${seed}" is not a #rrggbb color`, 'error');
+            return;
+        }
+        log.debug('Color Scheme: generated', values);
+
+        const title = `Apply ${MODES[mode] || mode} scheme from ${seed}` + (secondSeed ? ` and ${secondSeed}` : '');
+        presets.showValuesDiff({
+            title,
+            values,
+            describe: name => ROLE_LABELS[FIELD_ROLES[name]],
+            onApply: (names) => {
+                let applied = 0;
+                presets.recordHistory(title, () => {
+                    names.forEach(name => {
+                        if (presets.setFieldValue(name, values[name])) applied++;
+                    });
+                });
+                presets.showNotification(`Applied color scheme: ${applied}/${names.length} colors updated`, 'success');
+            }
+        });
+    }
+
+    function renderSwatches(target, seed, mode, secondSeed) {
+        target.textContent = '';
+        const roles = window.LibraryColorPicker ? generateRoles(seed, mode, secondSeed) : null;
+        if (!roles) return;
+        ['darker', 'dark', 'primary', 'tertiary', 'accent', 'accentLight', 'light', 'text'].forEach(role => {
+            const swatch = document.createElement('span');
+            swatch.style.cssText = `display: inline-block; width: 22px; height: 22px; margin-right: 3px; border: 1px solid #ced4da; border-radius: 3px; background: ${roles[role]};`;
+            swatch.title = `${ROLE_LABELS[role]}: ${roles[role]}`;
+            target.appendChild(swatch);
+        });
+    }
+
+    function createSchemeControls() {
+        const section = document.createElement('div');
+        section.className = 'color-scheme-generator';
+        section.style.cssText = 'margin-top: 12px; padding-top: 12px; border-top: 1px solid #dee2e6;';
+
+        const modeOptions = Object.keys(MODES).map(key => `<option value="${key}">${MODES[key]}</option>`).join('');
+        section.innerHTML = `
+            <div style="font-weight: 600; color: #495057; margin-bottom: 6px;">Color scheme from brand color</div>
+            <div style="display: flex; flex-wrap: wrap; align-items: center; gap: 8px; margin-bottom: 8px;">
+                <label style="font-size: 12px; color: #495057;">Brand color
+                    <input type="color" id="scheme-seed" value="#2c4a6b" style="vertical-align: middle; margin-left: 4px;">
+                </label>
+                <label style="font-size: 12px; color: #495057;">
+                    <input type="checkbox" id="scheme-use-second"> Second color
+                    <input type="color" id="scheme-second-seed" value="#d4af37" style="vertical-align: middle; margin-left: 4px;" disabled>
+                </label>
+                <label style="font-size: 12px; color: #495057;">Harmony
+                    <select id="scheme-mode" style="margin-left: 4px;">${modeOptions}</select>
+                </label>
+                <button type="button" id="scheme-preview" style="padding: 6px 12px; background: #fff; color: #495057; border: 1px solid #ced4da; border-radius: 4px; cursor: pointer;">
+                    Review scheme
+                </button>
+            </div>
+            <div class="scheme-swatches" aria-hidden="true"></div>
+            <div style="font-size: 12px; color: #6c757d; margin-top: 6px;">
+                Sets every color setting (headings, hover states, menu, footer, pagination, TOC) from the brand color. The second color replaces the accent the harmony would pick.
+            </div>
+        `;
+
+        const seedInput = section.querySelector('#scheme-seed');
+        const useSecond = section.querySelector('#scheme-use-second');
+        const secondInput = section.querySelector('#scheme-second-seed');
+        const modeSelect = section.querySelector('#scheme-mode');
+        const swatches = section.querySelector('.scheme-swatches');
+
+        // Start from the site's current brand color
+        const primaryField = window.EnhancedPresetSystem && window.EnhancedPresetSystem.findField('primary_color');
+        if (primaryField && /^#[0-9A-Fa-f]{6}$/.test(primaryField.value)) seedInput.value = primaryField.value.toLowerCase();
+
+        const current = () => [seedInput.value, modeSelect.value, useSecond.checked ? secondInput.value : ''];
+        const update = () => {
+            secondInput.disabled = !useSecond.checked;
+            renderSwatches(swatches, ...current());
+        };
+        [seedInput, secondInput].forEach(input => input.addEventListener('input', update));
+        [useSecond, modeSelect].forEach(input => input.addEventListener('change', update));
+        section.querySelector('#scheme-preview').addEventListener('click', () => previewScheme(...current()));
+        update();
+
+        // Inside the Preset Controls panel when it exists, otherwise under the style preset field
+        const controls = document.querySelector('.enhanced-preset-controls');
+        const stylePreset = document.querySelector('[name="style_preset"]');
+        if (controls) {
+            controls.appendChild(section);
+        } else if (stylePreset) {
+            section.style.cssText = 'background: #f8f9fa; border: 1px solid #dee2e6; border-radius: 4px; padding: 16px; margin: 16px 0;';
+            const field = stylePreset.closest('.field') || stylePreset;
+            field.parentNode.insertBefore(section, field.nextSibling);
+        } else {
+            log.warn('Color Scheme: style_preset field not found');
+        }
+    }
+
+    function init() {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', init);
+            return;
+        }
+        createSchemeControls();
+    }
+
+    init();
+
+    window.ColorSchemeGenerator = {
+        MODES,
+        generateScheme,
+        previewScheme
+    };
+
+})();
@@ -9,11 +9,8 @@
     // Only run in admin interface
     if (!window.location.pathname.includes('/admin')) return;
     
-    const __DBG = new URLSearchParams(location.search).has('debug');
-    const __log = (...a)=>{ if(__DBG) try{ console.log(...a);}catch(e){} };
-    const __warn = (...a)=>{ if(__DBG) try{ console.warn(...a);}catch(e){} };
-    const __error = (...a)=>{ if(__DBG) try{ console.error(...a);}catch(e){} };
-    __log('Enhanced Preset System: Initializing...');
+    const log = window.LibraryThemeLog.create('preset');
+    log.debug('Enhanced Preset System: Initializing...');
 
     // Preset definitions - prefer server-provided JSON if present
     let PRESETS = (function(){
@@ -26,6 +23,9 @@
     })();
     if (!PRESETS) PRESETS = {
         traditional: {
+            label: 'Traditional',
+            description: 'Conservative library style: Georgia headings in navy with gold accents.',
+
             // Typography
             h1_font_family: 'georgia',
             h1_font_size: '2rem',
@@ -71,6 +71,9 @@
         },
         
         modern: {
+            label: 'Modern (Library)',
+            description: 'Library-inspired design: large Cormorant headings with warm amber accents.',
+
             // Typography
             h1_font_family: 'cormorant',
             h1_font_size: '2.5rem',
@@ -117,30 +120,301 @@
             pagination_font_color: '#ffffff',
             pagination_hover_color: '#f7c97f',
             pagination_button_size: 'large'
+        },
+
+        traditional_typography: {
+            label: 'Traditional typography',
+            description: 'Fonts, sizes and weights of Traditional; keeps your current colors.',
+            extends: 'traditional',
+            scope: ['typography']
         }
     };
-    
+
+    // Keys in a preset definition that describe the preset rather than set a theme setting.
+    // extends: name of a preset whose values this one starts from
+    // scope: element groups (or a SCOPE_ALIASES key) the resolved preset is limited to
+    const PRESET_META_KEYS = ['label', 'description', 'extends', 'scope'];
+
+    // Scopes that cut across element groups, so a preset can carry fonts or colors only
+    const SCOPE_ALIASES = {
+        typography: /_font_(family|size|size_rem|style|weight)$/,
+        color_scheme: /_color$/
+    };
+
+    // asset/fonts/families.json: font key => CSS stack, category and, for web fonts, the family,
+    // weights and italics. theme-setting-css.phtml builds its font maps from the same file.
+    const FONT_FAMILIES_URL = document.currentScript && document.currentScript.src
+        ? new URL('../fonts/families.json', document.currentScript.src).href
+        : null;
+    let fontFamiliesRequest = null;
+
+    /**
+     * The font list, fetched once
+     *
+     * @returns {Promise<Object>} font key => entry; empty when the file cannot be read
+     */
+    function loadFontFamilies() {
+        if (!fontFamiliesRequest) {
+            fontFamiliesRequest = (FONT_FAMILIES_URL ? fetch(FONT_FAMILIES_URL) : Promise.reject(new Error('script URL unknown')))
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                })
+                .then(data => (data && data.families) || {})
+                .catch(error => {
+                    log.warn('Enhanced Preset: font list unavailable:', error);
+                    return {};
+                });
+        }
+        return fontFamiliesRequest;
+    }
+
+    // Theme settings by element group - synchronized with config/theme.ini.
+    // Asset ids (logo, site_logo) and the HTML footer_content are left out:
+    // they are site content rather than look, and do not survive a move between sites.
+    const THEME_FIELD_GROUPS = {
+        presets: ['style_preset'],
+        fonts: ['font_provider'],
+        header: ['logo_enabled', 'logo_link_page', 'show_browse_button', 'browse_button_target', 'show_search_button', 'search_button_target', 'header_layout', 'logo_height', 'header_height'],
+        tagline: ['site_tagline', 'tagline_font_family', 'tagline_font_size', 'tagline_font_color', 'tagline_font_weight', 'tagline_font_style', 'tagline_hover_text_color', 'tagline_hover_background_color'],
+        h1: ['h1_font_family', 'h1_font_size', 'h1_font_color', 'h1_font_style', 'h1_font_weight', 'h1_hover_text_color', 'h1_hover_background_color'],
+        h2: ['h2_font_family', 'h2_font_size', 'h2_font_color', 'h2_font_style', 'h2_font_weight', 'h2_hover_text_color', 'h2_hover_background_color'],
+        h3: ['h3_font_family', 'h3_font_size', 'h3_font_color', 'h3_font_style', 'h3_font_weight', 'h3_hover_text_color', 'h3_hover_background_color'],
+        body: ['body_font_family', 'body_font_size', 'body_font_color', 'body_font_style', 'body_font_weight', 'body_hover_text_color', 'body_hover_background_color'],
+        colors: ['box_border_width', 'box_border_radius', 'primary_color', 'accent_color'],
+        page_title: ['page_title_font_family', 'page_title_font_size', 'page_title_font_color', 'page_title_font_style', 'page_title_font_weight'],
+        menu: ['menu_font_family', 'menu_font_style', 'menu_font_weight', 'menu_text_color', 'menu_background_color'],
+        menu_behavior: ['render_submenu_by_default'],
+        pagination: ['pagination_background_color', 'pagination_font_color', 'pagination_hover_background_color', 'pagination_hover_text_color', 'pagination_hover_color', 'pagination_button_size', 'pagination_font_family', 'pagination_font_style', 'pagination_font_weight'],
+        breadcrumbs: ['breadcrumbs_pill_style'],
+        toc: ['toc_font_family', 'toc_font_size', 'toc_font_size_rem', 'toc_font_style', 'toc_font_weight', 'toc_background_color', 'toc_border_color', 'toc_text_color', 'toc_hover_text_color', 'toc_hover_background_color'],
+        footer_typography: ['footer_font_family', 'footer_font_style', 'footer_font_weight', 'footer_text_color', 'footer_background_color']
+    };
+    const THEME_FIELDS = Object.keys(THEME_FIELD_GROUPS).reduce((all, group) => all.concat(THEME_FIELD_GROUPS[group]), []);
+
+    // element_groups labels from config/theme.ini
+    const ELEMENT_GROUP_LABELS = {
+        presets: 'Style Presets',
+        fonts: 'Font Loading',
+        header: 'Header & Branding',
+        tagline: 'Tagline',
+        h1: 'Headings (H1)',
+        h2: 'Headings (H2)',
+        h3: 'Headings (H3)',
+        body: 'Body Text',
+        colors: 'Global Colors & Shape',
+        page_title: 'Page Title',
+        menu: 'Menu Typography',
+        menu_behavior: 'Menu Behavior',
+        pagination: 'Pagination',
+        breadcrumbs: 'Breadcrumbs',
+        toc: 'Table of Contents',
+        footer_typography: 'Footer Typography',
+        other: 'Other'
+    };
+
+    function getFieldGroup(name) {
+        return Object.keys(THEME_FIELD_GROUPS).find(group => THEME_FIELD_GROUPS[group].indexOf(name) !== -1) || 'other';
+    }
+
+    const SIZE_LIMITS = { rem: [0.25, 10], em: [0.25, 10], px: [0, 200], '%': [10, 1000] };
+
+    // Color settings stored as text so they can carry alpha (data-color-alpha in config/theme.ini)
+    function isAlphaColorField(name) {
+        const field = findField(name);
+        return !!field && field.hasAttribute('data-color-alpha');
+    }
+
+    /**
+     * Parse any CSS color (via color-picker.js) and normalize it for the setting
+     *
+     * @returns {string|null} #rrggbb or #rrggbbaa, null when not a color the setting can hold
+     */
+    function normalizeColorValue(name, value) {
+        const allowAlpha = isAlphaColorField(name);
+        if (window.LibraryColorPicker) return window.LibraryColorPicker.normalizeColor(value, allowAlpha);
+        // Without the picker only hex is understood
+        const str = String(value).trim();
+        return (allowAlpha ? /^#([0-9A-Fa-f]{6}|[0-9A-Fa-f]{8})$/ : /^#[0-9A-Fa-f]{6}$/).test(str) ? str.toLowerCase() : null;
+    }
+
+    /**
+     * Value type of a setting, read from its form element: selects, checkboxes and color inputs
+     * by element type, text inputs by data-color-alpha or the data-value-type attribute
+     * config/theme.ini gives them (pixels, size, length). Anything else is free text.
+     */
+    function getFieldType(name) {
+        const field = findField(name);
+        if (!field) return 'text';
+        if (field.tagName === 'SELECT') return 'select';
+        if (field.type === 'checkbox') return 'checkbox';
+        if (field.type === 'color' || field.hasAttribute('data-color-alpha')) return 'color';
+        return field.getAttribute('data-value-type') || 'text';
+    }
+
+    /**
+     * Allowed values for a select setting, read from the rendered form
+     *
+     * @returns {string[]|null} null when the select is not on this page
+     */
+    function getSelectOptions(name) {
+        const field = findField(name);
+        if (!field || field.tagName !== 'SELECT') return null;
+        return Array.from(field.options).map(option => option.value);
+    }
+
+    /**
+     * Check one setting value against the schema
+     *
+     * @returns {string} Problem description, or '' when the value is acceptable
+     */
+    function validateSettingValue(name, value) {
+        if (value === null || !['string', 'number', 'boolean'].includes(typeof value)) {
+            return 'value must be a string, number or boolean';
+        }
+        const str = String(value).trim();
+        const type = getFieldType(name);
+
+        switch (type) {
+            case 'select': {
+                const options = getSelectOptions(name);
+                return options.indexOf(str) === -1 ? `"${str}" is not one of: ${options.join(', ')}` : '';
+            }
+            case 'checkbox':
+                return ['0', '1', 'true', 'false'].indexOf(str) === -1 ? `"${str}" is not 0/1` : '';
+            case 'color':
+                // Text color fields are optional: empty leaves the preset's value in charge
+                if (str === '' && isAlphaColorField(name)) return '';
+                if (normalizeColorValue(name, str)) return '';
+                if (window.LibraryColorPicker && window.LibraryColorPicker.normalizeColor(str, true)) {
+                    return `"${str}" is transparent; ${name} only takes opaque colors`;
+                }
+                return `"${str}" is not a color (hex, rgb(), hsl() or a color name)`;
+            case 'pixels': {
+                if (!/^\d+$/.test(str)) return `"${str}" is not a whole number of pixels`;
+                return Number(str) > 1000 ? `${str}px is out of range (0-1000)` : '';
+            }
+            case 'size':
+            case 'length': {
+                const unitRequired = type === 'length';
+                if (str === '') return unitRequired ? 'a size is required' : '';
+                const m = str.match(/^(\d*\.?\d+)(px|rem|em|%)?$/);
+                if (!m) return `"${str}" is not a CSS size (number with px, rem, em or %)`;
+                if (!m[2] && unitRequired) return `"${str}" needs a unit (px, rem, em or %)`;
+                // Unitless sizes are rendered as rem
+                const unit = m[2] || 'rem';
+                const limits = SIZE_LIMITS[unit];
+                const number = parseFloat(m[1]);
+                return (number < limits[0] || number > limits[1]) ? `${str} is out of range (${limits[0]}-${limits[1]}${unit})` : '';
+            }
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Validate a whole preset before anything is applied
+     *
+     * @returns {{valid: boolean, errors: Array<{name, value, problem}>, unknown: string[], missing: string[]}}
+     */
+    function validatePreset(values) {
+        const result = { valid: true, errors: [], unknown: [], missing: [] };
+        Object.keys(values || {}).forEach(name => {
+            if (THEME_FIELDS.indexOf(name) === -1) {
+                result.unknown.push(name);
+                return;
+            }
+            const problem = validateSettingValue(name, values[name]);
+            if (problem) result.errors.push({ name, value: values[name], problem });
+        });
+        result.missing = THEME_FIELDS.filter(name => !Object.prototype.hasOwnProperty.call(values || {}, name));
+        result.valid = !result.errors.length && !result.unknown.length;
+        return result;
+    }
+
+    /**
+     * Copy of values without unknown keys and invalid values
+     */
+    function validPresetValues(values, validation) {
+        const rejected = validation.unknown.concat(validation.errors.map(e => e.name));
+        const clean = {};
+        Object.keys(values).forEach(name => {
+            if (rejected.indexOf(name) === -1) clean[name] = values[name];
+        });
+        return clean;
+    }
+
+    function describeValidationProblems(validation) {
+        return validation.unknown.map(name => `${name}: unknown setting`)
+            .concat(validation.errors.map(e => `${e.name}: ${e.problem}`));
+    }
+
+    // Marker written into exported preset files
+    const PRESET_FILE_TYPE = 'library-theme-preset';
+    const PRESET_FILE_VERSION = 1;
+
+    // Named custom presets live in the hidden custom_presets theme setting so they are
+    // saved per site with the form; localStorage is only used when that field is missing.
+    const CUSTOM_PRESETS_FIELD = 'custom_presets';
+    const CUSTOM_PRESETS_STORAGE_PREFIX = 'libraryTheme.customPresets.';
+
     // Utility functions
     function findField(name) {
-        return document.querySelector(`[name="${name}"]`) || 
+        // Laminas checkboxes render a hidden "0" input with the same name first; prefer the visible control
+        return document.querySelector(`[name="${name}"]:not([type="hidden"])`) ||
+               document.querySelector(`[name$="[${name}]"]:not([type="hidden"])`) ||
+               document.querySelector(`[name="${name}"]`) ||
                document.querySelector(`[name$="[${name}]"]`);
     }
+
+    /**
+     * Slug of the site whose admin page this is (shared by the admin scripts)
+     *
+     * @returns {string} empty outside site admin pages
+     */
+    function getSiteSlug() {
+        // Admin theme page: /admin/site/s/{slug}/theme (older installs: /admin/site/{slug}/theme)
+        const m = window.location.pathname.match(/\/admin\/site\/(?:s\/)?([^\/]+)/);
+        return m ? m[1] : '';
+    }
+
+    // Omeka S may be installed below the web root
+    function getBasePath() {
+        const path = window.location.pathname;
+        const i = path.indexOf('/admin/');
+        return i > 0 ? path.slice(0, i) : '';
+    }
+
+    /**
+     * Public URL of the site being edited, or of the install when not on a site admin page
+     *
+     * @returns {string}
+     */
+    function getSiteUrl() {
+        const slug = getSiteSlug();
+        return window.location.origin + getBasePath() + (slug ? '/s/' + slug : '/');
+    }
+
+    function getFieldValue(field) {
+        if (field.type === 'checkbox') return field.checked ? '1' : '0';
+        return field.value;
+    }
     
     function setFieldValue(name, value) {
         // Input validation
         if (typeof name !== 'string' || name.trim() === '') {
-            __error('Enhanced Preset: Invalid field name provided');
+            log.error('Enhanced Preset: Invalid field name provided');
             return false;
         }
         
         if (value === null || value === undefined) {
-            console.warn(`Enhanced Preset: Null/undefined value for field: ${name}`);
+            log.warn(`Enhanced Preset: Null/undefined value for field: ${name}`);
             return false;
         }
         
         const field = findField(name);
         if (!field) {
-            __warn(`Enhanced Preset: Field not found: ${name}`);
+            log.warn(`Enhanced Preset: Field not found: ${name}`);
             return false;
         }
         
@@ -148,14 +422,26 @@
         let sanitizedValue = value;
         if (field.type === 'checkbox') {
             field.checked = !!(value === 1 || value === '1' || value === true);
-        } else if (field.type === 'color') {
-            // Validate color format
-            if (typeof value === 'string' && /^#[0-9A-Fa-f]{6}$/.test(value)) {
-                field.value = value;
-            } else {
-                __warn(`Enhanced Preset: Invalid color format for ${name}: ${value}`);
+        } else if (field.hasAttribute('data-color-alpha') && String(value).trim() === '') {
+            // Cleared: the preset's value applies again
+            sanitizedValue = '';
+            field.value = '';
+        } else if (field.type === 'color' || field.hasAttribute('data-color-alpha')) {
+            // Any CSS color; stored normalized (#rrggbb, or #rrggbbaa where transparency is allowed)
+            sanitizedValue = normalizeColorValue(name, value);
+            if (!sanitizedValue) {
+                log.warn(`Enhanced Preset: Invalid color for ${name}: ${value}`);
                 return false;
             }
+            field.value = sanitizedValue;
+        } else if (field.tagName === 'SELECT') {
+            // A value without a matching option would silently blank the select
+            sanitizedValue = String(value);
+            if (!Array.from(field.options).some(option => option.value === sanitizedValue)) {
+                log.warn(`Enhanced Preset: No option "${sanitizedValue}" for ${name}`);
+                return false;
+            }
+            field.value = sanitizedValue;
         } else {
             // Sanitize string values
             sanitizedValue = String(value).replace(/[<>'"]/g, '');
@@ -166,34 +452,290 @@
         field.dispatchEvent(new Event('input', { bubbles: true }));
         field.dispatchEvent(new Event('change', { bubbles: true }));
         
-        __log(`Enhanced Preset: Set ${name} = ${sanitizedValue}`);
+        log.debug(`Enhanced Preset: Set ${name} = ${sanitizedValue}`);
         return true;
     }
     
-    function applyPreset(presetName) {
+    // Undo/redo history. Entries are { label, changes: { name: { from, to } } } and only ever
+    // touch the fields they list, so undoing a preset leaves unrelated manual edits alone.
+    const HISTORY_LIMIT = 100;
+    const HISTORY_MERGE_MS = 1500; // consecutive typing in one field becomes one entry
+    const History = {
+        undoStack: [],
+        redoStack: [],
+        batch: null,
+        restoring: false,
+        lastValues: {},
+        lastEdit: null,
+        listeners: []
+    };
+
+    function normalizeFieldName(name) {
+        // Accept both "h1_font_color" and wrapped names like "settings[h1_font_color]"
+        const m = String(name || '').match(/\[([^\[\]]+)\]$/);
+        return m ? m[1] : name;
+    }
+
+    function notifyHistoryListeners() {
+        History.listeners.forEach(fn => { try { fn(); } catch (e) { log.error('Enhanced Preset: history listener failed', e); } });
+    }
+
+    function pushHistoryEntry(entry) {
+        History.undoStack.push(entry);
+        if (History.undoStack.length > HISTORY_LIMIT) History.undoStack.shift();
+        History.redoStack = [];
+        notifyHistoryListeners();
+    }
+
+    function onTrackedFieldEvent(e) {
+        const target = e.target;
+        if (!target || !target.name) return;
+        const name = normalizeFieldName(target.name);
+        if (THEME_FIELDS.indexOf(name) === -1) return;
+        const field = findField(name);
+        if (!field) return;
+
+        const from = History.lastValues[name];
+        const to = getFieldValue(field);
+        if (from === to) return;
+        History.lastValues[name] = to;
+        if (History.restoring) return;
+
+        if (History.batch) {
+            const existing = History.batch.changes[name];
+            History.batch.changes[name] = { from: existing ? existing.from : from, to };
+            return;
+        }
+
+        // Merge rapid edits of the same field (typing, dragging the native color picker)
+        const top = History.undoStack[History.undoStack.length - 1];
+        const now = Date.now();
+        if (top && History.lastEdit && top === History.lastEdit.entry && History.lastEdit.name === name &&
+            now - History.lastEdit.time < HISTORY_MERGE_MS && !History.redoStack.length) {
+            top.changes[name].to = to;
+            History.lastEdit.time = now;
+            notifyHistoryListeners();
+            return;
+        }
+
+        const entry = { label: `Edit ${name}`, changes: { [name]: { from, to } } };
+        pushHistoryEntry(entry);
+        History.lastEdit = { entry, name, time: now };
+    }
+
+    /**
+     * Run fn and record every field it changes as a single history entry
+     */
+    function recordHistory(label, fn) {
+        if (History.batch) return fn(); // nested: fold into the outer entry
+        History.batch = { label, changes: {} };
+        try {
+            return fn();
+        } finally {
+            const batch = History.batch;
+            History.batch = null;
+            if (Object.keys(batch.changes).length) pushHistoryEntry(batch);
+        }
+    }
+
+    function restoreHistoryEntry(entry, direction) {
+        History.restoring = true;
+        try {
+            Object.keys(entry.changes).forEach(name => {
+                setFieldValue(name, entry.changes[name][direction]);
+            });
+        } finally {
+            History.restoring = false;
+        }
+        History.lastEdit = null;
+    }
+
+    function undo() {
+        const entry = History.undoStack.pop();
+        if (!entry) return false;
+        restoreHistoryEntry(entry, 'from');
+        History.redoStack.push(entry);
+        notifyHistoryListeners();
+        showNotification(`Undone: ${entry.label} (${Object.keys(entry.changes).length} setting(s))`, 'success');
+        return true;
+    }
+
+    function redo() {
+        const entry = History.redoStack.pop();
+        if (!entry) return false;
+        restoreHistoryEntry(entry, 'to');
+        History.undoStack.push(entry);
+        notifyHistoryListeners();
+        showNotification(`Redone: ${entry.label} (${Object.keys(entry.changes).length} setting(s))`, 'success');
+        return true;
+    }
+
+    function initHistory() {
+        History.lastValues = collectCurrentSettings();
+        document.addEventListener('input', onTrackedFieldEvent, true);
+        document.addEventListener('change', onTrackedFieldEvent, true);
+
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey || String(e.key).toLowerCase() !== 'z') return;
+            // Leave native text undo alone in inputs that are not theme settings (e.g. the preset name box)
+            const t = e.target;
+            const isTextEntry = t && (t.isContentEditable || t.tagName === 'TEXTAREA' ||
+                (t.tagName === 'INPUT' && !['checkbox', 'radio', 'color', 'button', 'submit', 'file'].includes(t.type)));
+            if (isTextEntry && THEME_FIELDS.indexOf(normalizeFieldName(t.name)) === -1) return;
+
+            const handled = e.shiftKey ? redo() : undo();
+            if (handled || !isTextEntry) e.preventDefault();
+        });
+    }
+
+    function isInScope(name, scope) {
+        return scope.some(entry => SCOPE_ALIASES[entry] ? SCOPE_ALIASES[entry].test(name) : getFieldGroup(name) === entry);
+    }
+
+    /**
+     * Resolve a preset's extends chain and scope
+     *
+     * Parent values come first and the preset's own values override them; the scope
+     * then trims the merged result.
+     *
+     * @returns {{settings: Object, sources: Object, chain: string[], problems: string[]}|null}
+     *          sources maps each setting to the preset it came from; null for an unknown preset
+     */
+    function resolvePreset(presetName, seen) {
+        seen = seen || [];
+        const result = { settings: {}, sources: {}, chain: [], problems: [] };
+        if (seen.indexOf(presetName) !== -1) {
+            result.problems.push(`circular extends: ${seen.concat(presetName).join(' → ')}`);
+            return result;
+        }
+
+        let definition = null;
+        if (Object.prototype.hasOwnProperty.call(PRESETS, presetName)) {
+            definition = PRESETS[presetName];
+        } else {
+            const custom = loadCustomPresets()[presetName];
+            if (custom) definition = custom.settings;
+        }
+        if (!definition) return null;
+
+        if (definition.extends) {
+            const parent = resolvePreset(String(definition.extends), seen.concat(presetName));
+            if (parent) {
+                Object.assign(result.settings, parent.settings);
+                Object.assign(result.sources, parent.sources);
+                result.chain = parent.chain;
+                result.problems = parent.problems;
+            } else {
+                result.problems.push(`${presetName} extends unknown preset "${definition.extends}"`);
+            }
+        }
+        Object.keys(definition).forEach(key => {
+            if (PRESET_META_KEYS.indexOf(key) !== -1) return;
+            result.settings[key] = definition[key];
+            result.sources[key] = presetName;
+        });
+        result.chain.push(presetName);
+
+        if (definition.scope) {
+            const scope = [].concat(definition.scope).map(String);
+            scope.forEach(entry => {
+                if (!SCOPE_ALIASES[entry] && !ELEMENT_GROUP_LABELS[entry]) {
+                    result.problems.push(`${presetName} has unknown scope "${entry}"`);
+                }
+            });
+            Object.keys(result.settings).forEach(key => {
+                if (isInScope(key, scope)) return;
+                delete result.settings[key];
+                delete result.sources[key];
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Theme settings of a preset, with its extends chain and scope applied
+     */
+    function getPreset(presetName) {
+        const resolved = resolvePreset(presetName);
+        return resolved ? resolved.settings : null;
+    }
+
+    /**
+     * Describe where the values came from, e.g. "12 from Traditional, 3 from Dark headings"
+     */
+    function describePresetLayers(resolved, names) {
+        const counts = {};
+        names.forEach(name => {
+            const source = resolved.sources[name];
+            if (source) counts[source] = (counts[source] || 0) + 1;
+        });
+        return resolved.chain.filter(layer => counts[layer])
+            .map(layer => `${counts[layer]} from ${getPresetLabel(layer)}`)
+            .join(', ');
+    }
+
+    function getPresetLabel(presetName) {
+        const custom = loadCustomPresets()[presetName];
+        if (custom) return custom.name;
         const preset = PRESETS[presetName];
-        if (!preset) {
-            __error(`Enhanced Preset: Unknown preset: ${presetName}`);
+        if (preset && preset.label) return String(preset.label);
+        // Fall back to the style_preset option text from theme.ini
+        const select = findField('style_preset');
+        const option = select && select.tagName === 'SELECT' &&
+            Array.from(select.options).find(o => o.value === presetName);
+        return option ? option.textContent.trim() : presetName;
+    }
+
+    /**
+     * Load a preset into the form
+     *
+     * @param {string} presetName Built-in or custom preset key
+     * @param {string[]} [onlyFields] Restrict to these setting names (from the diff preview)
+     */
+    function applyPreset(presetName, onlyFields) {
+        const resolved = resolvePreset(presetName);
+        if (!resolved) {
+            log.error(`Enhanced Preset: Unknown preset: ${presetName}`);
             return;
         }
-        
-        __log(`Enhanced Preset: Applying ${presetName} preset...`);
-        
-        let appliedCount = 0;
+        const preset = resolved.settings;
+        if (resolved.problems.length) {
+            log.warn(`Enhanced Preset: ${presetName} preset definition:`, resolved.problems);
+        }
+        const label = getPresetLabel(presetName);
+        const validation = validatePreset(preset);
+        const values = validPresetValues(preset, validation);
+        const invalidCount = Object.keys(preset).length - Object.keys(values).length;
+        if (!validation.valid) {
+            log.warn(`Enhanced Preset: Skipping invalid values in ${label}:`, describeValidationProblems(validation));
+        }
+
+        log.debug(`Enhanced Preset: Applying ${label} preset...`);
+
         let totalCount = 0;
-        
-        Object.keys(preset).forEach(fieldName => {
-            totalCount++;
-            if (setFieldValue(fieldName, preset[fieldName])) {
-                appliedCount++;
-            }
+        const applied = [];
+
+        recordHistory(`Apply ${label} preset`, () => {
+            Object.keys(values).forEach(fieldName => {
+                if (onlyFields && onlyFields.indexOf(fieldName) === -1) return;
+                totalCount++;
+                if (setFieldValue(fieldName, values[fieldName])) {
+                    applied.push(fieldName);
+                }
+            });
         });
-        
-        __log(`Enhanced Preset: Applied ${appliedCount}/${totalCount} settings`);
-        
+        const appliedCount = applied.length;
+
+        log.debug(`Enhanced Preset: Applied ${appliedCount}/${totalCount} settings`);
+
         // Show user feedback
-        showNotification(`Applied ${presetName} preset: ${appliedCount}/${totalCount} settings updated`, 'success');
-        
+        const layers = resolved.chain.length > 1 && appliedCount ? `; ${describePresetLayers(resolved, applied)}` : '';
+        showNotification(
+            `Applied ${label} preset: ${appliedCount}/${totalCount} settings updated${layers}` +
+            (invalidCount ? ` (${invalidCount} invalid value(s) skipped)` : ''),
+            'success'
+        );
+
         return appliedCount;
     }
     
@@ -230,14 +772,812 @@
             }
         }, 5000);
     }
-    
+
+    function comparableValue(value) {
+        if (value === true) return '1';
+        if (value === false) return '0';
+        return String(value).trim().toLowerCase();
+    }
+
+    // Whether a field already holds a value, allowing for case and, for colors, notation (rgb(), name, short hex)
+    function isSameValue(name, current, next) {
+        if (comparableValue(current) === comparableValue(next)) return true;
+        return getFieldType(name) === 'color' && !!normalizeColorValue(name, current) &&
+            normalizeColorValue(name, current) === normalizeColorValue(name, next);
+    }
+
+    /**
+     * List the fields on the form whose value would change if `values` were applied
+     *
+     * @returns {Array<{name: string, group: string, current: string, next: string}>}
+     */
+    function computeSettingsDiff(values) {
+        const changes = [];
+        Object.keys(values).forEach(name => {
+            const next = values[name];
+            if (next === null || next === undefined) return;
+            const field = findField(name);
+            if (!field) return;
+            const current = getFieldValue(field);
+            if (isSameValue(name, current, next)) return;
+            changes.push({ name, group: getFieldGroup(name), current: String(current), next: String(next) });
+        });
+        return changes;
+    }
+
+    function createValueCell(value, name) {
+        const cell = document.createElement('td');
+        cell.style.cssText = 'padding: 4px 8px; font-family: monospace; white-space: nowrap;';
+        const color = getFieldType(name) === 'color' && value !== '' ? normalizeColorValue(name, value) : null;
+        if (color) {
+            const swatch = document.createElement('span');
+            swatch.style.cssText = `display: inline-block; width: 14px; height: 14px; margin-right: 6px; vertical-align: middle; border: 1px solid #ced4da; border-radius: 2px; background: ${color};`;
+            cell.appendChild(swatch);
+        }
+        cell.appendChild(document.createTextNode(value === '' ? '(empty)' : value));
+        // Show what will actually be stored when the preset writes the color another way
+        if (color && color !== String(value).trim().toLowerCase()) {
+            const stored = document.createElement('span');
+            stored.style.cssText = 'color: #6c757d; margin-left: 4px;';
+            stored.textContent = `(${color})`;
+            cell.appendChild(stored);
+        }
+        return cell;
+    }
+
+    /**
+     * Show the fields that would change and let the admin pick which ones to apply
+     *
+     * @param {Object} options
+     * @param {string} options.title Dialog heading
+     * @param {Object} options.values name => value to compare with the form
+     * @param {function(string[])} options.onApply Receives the ticked setting names
+     * @param {function(string): string} [options.describe] Optional note shown under a setting name
+     * @param {string[]} [options.problems] Validation problems; those values are not offered
+     * @param {string[]} [options.missing] Settings the values leave untouched
+     * @returns {boolean} false when nothing would change (no dialog shown)
+     */
+    function showValuesDiff(options) {
+        const changes = computeSettingsDiff(options.values);
+        const problems = options.problems || [];
+        if (!changes.length) {
+            showNotification(
+                `${options.title}: the form already has these values` +
+                (problems.length ? ` (${problems.length} invalid value(s) ignored)` : ''),
+                problems.length ? 'error' : 'success'
+            );
+            return false;
+        }
+
+        document.querySelector('.preset-diff-overlay')?.remove();
+        const previousFocus = document.activeElement;
+
+        const overlay = document.createElement('div');
+        overlay.className = 'preset-diff-overlay';
+        overlay.style.cssText = 'position: fixed; inset: 0; background: rgba(0,0,0,0.5); z-index: 10000; display: flex; align-items: center; justify-content: center;';
+
+        const dialog = document.createElement('div');
+        dialog.className = 'preset-diff-dialog';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-labelledby', 'preset-diff-title');
+        dialog.style.cssText = 'background: #fff; border-radius: 6px; padding: 16px; width: min(760px, 94vw); max-height: 90vh; display: flex; flex-direction: column; font-size: 14px; color: #212529;';
+
+        const heading = document.createElement('h3');
+        heading.id = 'preset-diff-title';
+        heading.style.cssText = 'margin: 0 0 4px 0;';
+        heading.textContent = options.title;
+        dialog.appendChild(heading);
+
+        const intro = document.createElement('div');
+        intro.style.cssText = 'font-size: 12px; color: #6c757d; margin-bottom: 8px;';
+        intro.textContent = `${changes.length} setting(s) would change. Untick anything you want to keep as it is.`;
+        dialog.appendChild(intro);
+
+        const addNoteList = (summaryText, items, color) => {
+            const details = document.createElement('details');
+            details.style.cssText = `font-size: 12px; color: ${color}; margin-bottom: 8px;`;
+            const summary = document.createElement('summary');
+            summary.textContent = summaryText;
+            details.appendChild(summary);
+            const list = document.createElement('ul');
+            list.style.cssText = 'margin: 4px 0 0 0; padding-left: 18px; max-height: 120px; overflow: auto;';
+            items.forEach(text => {
+                const item = document.createElement('li');
+                item.textContent = text;
+                list.appendChild(item);
+            });
+            details.appendChild(list);
+            dialog.appendChild(details);
+            return details;
+        };
+        if (problems.length) {
+            addNoteList(`${problems.length} invalid value(s) will not be applied`, problems, '#721c24').open = true;
+        }
+        if (options.missing && options.missing.length) {
+            addNoteList(`${options.missing.length} setting(s) not defined here keep their current value`, options.missing, '#6c757d');
+        }
+
+        const scroller = document.createElement('div');
+        scroller.style.cssText = 'overflow: auto; flex: 1; border: 1px solid #dee2e6; border-radius: 4px;';
+        const table = document.createElement('table');
+        table.style.cssText = 'width: 100%; border-collapse: collapse;';
+
+        // Group in theme.ini element_groups order
+        const groups = Object.keys(ELEMENT_GROUP_LABELS).filter(group => changes.some(c => c.group === group));
+        groups.forEach(group => {
+            const rows = changes.filter(c => c.group === group);
+            const body = document.createElement('tbody');
+
+            const headRow = document.createElement('tr');
+            headRow.style.background = '#f1f3f5';
+            const headCell = document.createElement('th');
+            headCell.colSpan = 5;
+            headCell.style.cssText = 'text-align: left; padding: 6px 8px;';
+            const groupLabel = document.createElement('label');
+            const groupBox = document.createElement('input');
+            groupBox.type = 'checkbox';
+            groupBox.checked = true;
+            groupBox.dataset.diffGroup = group;
+            groupLabel.appendChild(groupBox);
+            groupLabel.appendChild(document.createTextNode(` ${ELEMENT_GROUP_LABELS[group]} (${rows.length})`));
+            headCell.appendChild(groupLabel);
+            headRow.appendChild(headCell);
+            body.appendChild(headRow);
+
+            rows.forEach(change => {
+                const row = document.createElement('tr');
+                row.style.borderTop = '1px solid #f1f3f5';
+
+                const boxCell = document.createElement('td');
+                boxCell.style.cssText = 'padding: 4px 8px; width: 1%;';
+                const box = document.createElement('input');
+                box.type = 'checkbox';
+                box.checked = true;
+                box.dataset.diffField = change.name;
+                box.dataset.diffGroupMember = group;
+                box.id = `preset-diff-${change.name}`;
+                boxCell.appendChild(box);
+                row.appendChild(boxCell);
+
+                const nameCell = document.createElement('td');
+                nameCell.style.cssText = 'padding: 4px 8px;';
+                const nameLabel = document.createElement('label');
+                nameLabel.htmlFor = box.id;
+                nameLabel.textContent = change.name;
+                nameCell.appendChild(nameLabel);
+                const note = options.describe ? options.describe(change.name) : '';
+                if (note) {
+                    const noteEl = document.createElement('div');
+                    noteEl.style.cssText = 'font-size: 11px; color: #6c757d;';
+                    noteEl.textContent = note;
+                    nameCell.appendChild(noteEl);
+                }
+                row.appendChild(nameCell);
+
+                row.appendChild(createValueCell(change.current, change.name));
+                const arrow = document.createElement('td');
+                arrow.setAttribute('aria-label', 'changes to');
+                arrow.textContent = '→';
+                row.appendChild(arrow);
+                row.appendChild(createValueCell(change.next, change.name));
+                body.appendChild(row);
+            });
+            table.appendChild(body);
+        });
+        scroller.appendChild(table);
+        dialog.appendChild(scroller);
+
+        const footer = document.createElement('div');
+        footer.style.cssText = 'display: flex; gap: 8px; justify-content: flex-end; margin-top: 12px;';
+        const buttonStyle = 'padding: 6px 14px; border-radius: 4px; cursor: pointer;';
+        const cancelBtn = document.createElement('button');
+        cancelBtn.type = 'button';
+        cancelBtn.style.cssText = buttonStyle + 'background: #fff; color: #495057; border: 1px solid #ced4da;';
+        cancelBtn.textContent = 'Cancel';
+        const applyBtn = document.createElement('button');
+        applyBtn.type = 'button';
+        applyBtn.style.cssText = buttonStyle + 'background: #007bff; color: #fff; border: none;';
+        footer.appendChild(cancelBtn);
+        footer.appendChild(applyBtn);
+        dialog.appendChild(footer);
+        overlay.appendChild(dialog);
+
+        const fieldBoxes = () => Array.from(dialog.querySelectorAll('[data-diff-field]'));
+        const selectedNames = () => fieldBoxes().filter(b => b.checked).map(b => b.dataset.diffField);
+
+        function syncState() {
+            dialog.querySelectorAll('[data-diff-group]').forEach(groupBox => {
+                const members = fieldBoxes().filter(b => b.dataset.diffGroupMember === groupBox.dataset.diffGroup);
+                const ticked = members.filter(b => b.checked).length;
+                groupBox.checked = ticked === members.length;
+                groupBox.indeterminate = ticked > 0 && ticked < members.length;
+            });
+            const count = selectedNames().length;
+            applyBtn.textContent = `Apply selected (${count})`;
+            applyBtn.disabled = count === 0;
+        }
+
+        function close() {
+            overlay.remove();
+            document.removeEventListener('keydown', onKeydown);
+            if (previousFocus && typeof previousFocus.focus === 'function') previousFocus.focus();
+        }
+
+        function onKeydown(e) {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                close();
+            } else if (e.key === 'Tab') {
+                // Keep focus inside the dialog while it is open
+                const focusable = Array.from(dialog.querySelectorAll('input, button, summary'))
+                    .filter(el => !el.disabled && el.offsetParent !== null);
+                if (!focusable.length) return;
+                const first = focusable[0];
+                const last = focusable[focusable.length - 1];
+                if (!dialog.contains(document.activeElement)) {
+                    e.preventDefault();
+                    first.focus();
+                } else if (e.shiftKey && document.activeElement === first) {
+                    e.preventDefault();
+                    last.focus();
+                } else if (!e.shiftKey && document.activeElement === last) {
+                    e.preventDefault();
+                    first.focus();
+                }
+            }
+        }
+
+        dialog.addEventListener('change', (e) => {
+            const groupKey = e.target.dataset && e.target.dataset.diffGroup;
+            if (groupKey) {
+                fieldBoxes()
+                    .filter(b => b.dataset.diffGroupMember === groupKey)
+                    .forEach(b => { b.checked = e.target.checked; });
+            }
+            syncState();
+        });
+        overlay.addEventListener('click', (e) => { if (e.target === overlay) close(); });
+        cancelBtn.addEventListener('click', close);
+        applyBtn.addEventListener('click', () => {
+            const names = selectedNames();
+            close();
+            options.onApply(names);
+        });
+        document.addEventListener('keydown', onKeydown);
+
+        syncState();
+        document.body.appendChild(overlay);
+        applyBtn.focus();
+        return true;
+    }
+
+    /**
+     * Show the diff for a preset and apply only the settings the admin keeps ticked
+     */
+    function previewPreset(presetName, onApplied) {
+        const resolved = resolvePreset(presetName);
+        if (!resolved) {
+            log.error(`Enhanced Preset: Unknown preset: ${presetName}`);
+            return false;
+        }
+        const preset = resolved.settings;
+        const validation = validatePreset(preset);
+        return showValuesDiff({
+            title: `Apply "${getPresetLabel(presetName)}" preset`,
+            values: validPresetValues(preset, validation),
+            problems: resolved.problems.concat(describeValidationProblems(validation)),
+            // Layered presets: name the layer each value comes from
+            describe: resolved.chain.length > 1 ? (name => `from ${getPresetLabel(resolved.sources[name])}`) : undefined,
+            missing: validation.missing.filter(name => findField(name)),
+            onApply: (names) => {
+                // One history entry for the preset and anything onApplied changes alongside it
+                recordHistory(`Apply ${getPresetLabel(presetName)} preset`, () => {
+                    applyPreset(presetName, names);
+                    if (onApplied) onApplied(names);
+                });
+            }
+        });
+    }
+
+    /**
+     * Read every theme field present on the form into a flat name => value map
+     */
+    function collectCurrentSettings() {
+        const values = {};
+        THEME_FIELDS.forEach(name => {
+            const field = findField(name);
+            if (field) values[name] = getFieldValue(field);
+        });
+        return values;
+    }
+
+    /**
+     * Download the current form state as a preset JSON file
+     */
+    function exportCurrentSettings() {
+        const settings = collectCurrentSettings();
+        const slug = getSiteSlug();
+        const payload = {
+            type: PRESET_FILE_TYPE,
+            version: PRESET_FILE_VERSION,
+            site: slug || null,
+            exported: new Date().toISOString(),
+            settings: settings
+        };
+
+        const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `library-theme-${slug || 'site'}-${payload.exported.slice(0, 10)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+
+        log.debug(`Enhanced Preset: Exported ${Object.keys(settings).length} settings`);
+        showNotification(`Exported ${Object.keys(settings).length} settings`, 'success');
+    }
+
+    /**
+     * Parse preset file text. Accepts an exported file or a bare name => value object.
+     *
+     * @throws {Error} When the text is not a usable preset
+     */
+    function parsePresetFile(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error('File is not valid JSON');
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Preset file must contain a JSON object');
+        }
+        if (data.type !== undefined) {
+            if (data.type !== PRESET_FILE_TYPE) {
+                throw new Error(`Unsupported file type: ${data.type}`);
+            }
+            if (typeof data.version !== 'number' || data.version > PRESET_FILE_VERSION) {
+                throw new Error(`Unsupported preset file version: ${data.version}`);
+            }
+            data = data.settings;
+            if (!data || typeof data !== 'object' || Array.isArray(data)) {
+                throw new Error('Preset file has no settings object');
+            }
+        }
+        if (!Object.keys(data).length) {
+            throw new Error('Preset file contains no settings');
+        }
+        return data;
+    }
+
+    /**
+     * Apply imported settings one by one and report what happened to each
+     *
+     * @returns {{applied: Array, skipped: Array, rejected: Array, missing: string[]}} Entries are {name, value, reason}
+     */
+    function applyImportedSettings(settings) {
+        const report = { applied: [], skipped: [], rejected: [], missing: [] };
+        // Validate the whole file before touching the form
+        const validation = validatePreset(settings);
+        report.missing = validation.missing.filter(name => findField(name));
+
+        Object.keys(settings).forEach(name => {
+            const value = settings[name];
+            const entry = { name, value, reason: '' };
+
+            if (validation.unknown.indexOf(name) !== -1) {
+                entry.reason = 'not a theme setting';
+                report.rejected.push(entry);
+                return;
+            }
+            const error = validation.errors.find(e => e.name === name);
+            if (error) {
+                entry.reason = error.problem;
+                report.rejected.push(entry);
+                return;
+            }
+            const field = findField(name);
+            if (!field) {
+                entry.reason = 'field not on this form';
+                report.skipped.push(entry);
+                return;
+            }
+            if (isSameValue(name, getFieldValue(field), value)) {
+                entry.reason = 'already set';
+                report.skipped.push(entry);
+                return;
+            }
+            if (setFieldValue(name, value)) {
+                report.applied.push(entry);
+            } else {
+                entry.reason = 'invalid value';
+                report.rejected.push(entry);
+            }
+        });
+
+        return report;
+    }
+
+    function renderImportReport(target, fileName, report) {
+        target.textContent = '';
+        target.style.display = 'block';
+
+        const summary = document.createElement('div');
+        summary.style.cssText = 'font-weight: 600; margin-bottom: 6px;';
+        summary.textContent = `${fileName}: ${report.applied.length} applied, ${report.skipped.length} skipped, ${report.rejected.length} rejected`;
+        target.appendChild(summary);
+
+        const colors = { applied: '#155724', skipped: '#6c757d', rejected: '#721c24' };
+        const list = document.createElement('ul');
+        list.style.cssText = 'margin: 0; padding-left: 18px; max-height: 200px; overflow: auto;';
+        ['rejected', 'skipped', 'applied'].forEach(status => {
+            report[status].forEach(entry => {
+                // Values come from an untrusted file: textContent only
+                const item = document.createElement('li');
+                item.style.color = colors[status];
+                item.textContent = `${status}: ${entry.name} = ${JSON.stringify(entry.value)}` +
+                    (entry.reason ? ` (${entry.reason})` : '');
+                list.appendChild(item);
+            });
+        });
+        target.appendChild(list);
+
+        if (report.missing.length) {
+            const missing = document.createElement('div');
+            missing.style.cssText = 'margin-top: 6px; color: #6c757d;';
+            missing.textContent = `Not in file (kept as is): ${report.missing.join(', ')}`;
+            target.appendChild(missing);
+        }
+    }
+
+    function importPresetFile(file, reportTarget) {
+        return file.text()
+            .then(parsePresetFile)
+            .then(settings => {
+                const report = recordHistory(`Import ${file.name}`, () => applyImportedSettings(settings));
+                log.debug('Enhanced Preset: Import report', report);
+                if (reportTarget) renderImportReport(reportTarget, file.name, report);
+                showNotification(
+                    `Imported ${file.name}: ${report.applied.length} applied, ${report.skipped.length} skipped, ${report.rejected.length} rejected`,
+                    report.rejected.length ? 'error' : 'success'
+                );
+                return report;
+            })
+            .catch(error => {
+                log.error('Enhanced Preset: Import failed:', error);
+                showNotification(`Could not import ${file.name}: ${error.message}`, 'error');
+            });
+    }
+
+    /**
+     * Custom presets: { id: { name, settings, created, updated } }
+     */
+    function loadCustomPresets() {
+        let raw = '';
+        const field = findField(CUSTOM_PRESETS_FIELD);
+        if (field) {
+            raw = field.value;
+        } else {
+            try { raw = localStorage.getItem(CUSTOM_PRESETS_STORAGE_PREFIX + getSiteSlug()) || ''; } catch (e) { /* storage disabled */ }
+        }
+        if (!raw) return {};
+        try {
+            const parsed = JSON.parse(raw);
+            if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return {};
+            // Drop hand-edited or truncated entries so callers can rely on name and settings
+            const presets = {};
+            Object.keys(parsed).forEach(id => {
+                const preset = parsed[id];
+                if (preset && typeof preset.name === 'string' && preset.settings && typeof preset.settings === 'object') {
+                    presets[id] = preset;
+                } else {
+                    log.warn('Enhanced Preset: Ignoring malformed custom preset', id);
+                }
+            });
+            return presets;
+        } catch (e) {
+            log.warn('Enhanced Preset: Ignoring unreadable custom presets', e);
+            return {};
+        }
+    }
+
+    function storeCustomPresets(presets) {
+        const json = JSON.stringify(presets);
+        const field = findField(CUSTOM_PRESETS_FIELD);
+        if (field) {
+            field.value = json;
+            field.dispatchEvent(new Event('change', { bubbles: true }));
+            return;
+        }
+        try {
+            localStorage.setItem(CUSTOM_PRESETS_STORAGE_PREFIX + getSiteSlug(), json);
+        } catch (e) {
+            log.error('Enhanced Preset: Could not store custom presets', e);
+        }
+    }
+
+    function isPresetNameTaken(name, exceptId) {
+        const wanted = name.trim().toLowerCase();
+        if (Object.keys(PRESETS).some(key => key.toLowerCase() === wanted)) return true;
+        const custom = loadCustomPresets();
+        return Object.keys(custom).some(id => id !== exceptId && custom[id].name.toLowerCase() === wanted);
+    }
+
+    function saveCustomPreset(name, settings) {
+        name = String(name || '').trim();
+        if (!name) {
+            showNotification('Enter a name for the preset', 'error');
+            return null;
+        }
+        if (isPresetNameTaken(name)) {
+            showNotification(`A preset named "${name}" already exists`, 'error');
+            return null;
+        }
+        const presets = loadCustomPresets();
+        const id = 'custom_' + Date.now().toString(36);
+        const now = new Date().toISOString();
+        presets[id] = { name, settings: settings || collectCurrentSettings(), created: now, updated: now };
+        storeCustomPresets(presets);
+        return id;
+    }
+
+    function renameCustomPreset(id, newName) {
+        const presets = loadCustomPresets();
+        newName = String(newName || '').trim();
+        if (!presets[id] || !newName) return false;
+        if (isPresetNameTaken(newName, id)) {
+            showNotification(`A preset named "${newName}" already exists`, 'error');
+            return false;
+        }
+        presets[id].name = newName;
+        presets[id].updated = new Date().toISOString();
+        storeCustomPresets(presets);
+        return true;
+    }
+
+    function duplicateCustomPreset(id) {
+        const source = loadCustomPresets()[id];
+        if (!source) return null;
+        let copyName = `${source.name} (copy)`;
+        for (let i = 2; isPresetNameTaken(copyName); i++) {
+            copyName = `${source.name} (copy ${i})`;
+        }
+        return saveCustomPreset(copyName, Object.assign({}, source.settings));
+    }
+
+    function deleteCustomPreset(id) {
+        const presets = loadCustomPresets();
+        if (!presets[id]) return false;
+        delete presets[id];
+        storeCustomPresets(presets);
+        return true;
+    }
+
+    function renderCustomPresetList(list) {
+        const presets = loadCustomPresets();
+        const ids = Object.keys(presets).sort((a, b) => presets[a].name.localeCompare(presets[b].name));
+        list.textContent = '';
+
+        if (!ids.length) {
+            const empty = document.createElement('div');
+            empty.style.cssText = 'font-size: 12px; color: #6c757d;';
+            empty.textContent = 'No custom presets saved for this site yet.';
+            list.appendChild(empty);
+            return;
+        }
+
+        const actionStyle = 'margin-left: 6px; padding: 2px 8px; font-size: 12px; background: #fff; color: #495057; border: 1px solid #ced4da; border-radius: 4px; cursor: pointer;';
+        ids.forEach(id => {
+            const row = document.createElement('div');
+            row.className = 'custom-preset-row';
+            row.style.cssText = 'display: flex; align-items: center; padding: 4px 0;';
+
+            const name = document.createElement('span');
+            name.style.cssText = 'flex: 1; font-weight: 600; color: #495057;';
+            name.textContent = presets[id].name;
+            row.appendChild(name);
+
+            [['apply', 'Apply'], ['rename', 'Rename'], ['duplicate', 'Duplicate'], ['delete', 'Delete']].forEach(([action, text]) => {
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.dataset.presetAction = action;
+                btn.dataset.presetId = id;
+                btn.style.cssText = actionStyle;
+                btn.textContent = text;
+                row.appendChild(btn);
+            });
+            list.appendChild(row);
+        });
+    }
+
+    function handleCustomPresetAction(action, id, list) {
+        const preset = loadCustomPresets()[id];
+        if (!preset) return;
+
+        switch (action) {
+            case 'apply':
+                previewPreset(id);
+                return;
+            case 'rename': {
+                const newName = window.prompt('Rename preset', preset.name);
+                if (newName === null || !renameCustomPreset(id, newName)) return;
+                break;
+            }
+            case 'duplicate':
+                if (!duplicateCustomPreset(id)) return;
+                break;
+            case 'delete':
+                if (!window.confirm(`Delete the preset "${preset.name}"?`)) return;
+                deleteCustomPreset(id);
+                break;
+            default:
+                return;
+        }
+        renderCustomPresetList(list);
+        if (findField(CUSTOM_PRESETS_FIELD)) {
+            showNotification('Custom presets updated. Save the theme settings to keep the change.', 'success');
+        }
+    }
+
+    // Colors shown first on a preset card; other *_color values fill the remaining slots
+    const CARD_SWATCH_FIELDS = ['primary_color', 'accent_color', 'h1_font_color', 'body_font_color', 'pagination_background_color', 'toc_border_color'];
+    const CARD_SWATCH_COUNT = 6;
+
+    function getPresetSwatches(settings) {
+        const colors = [];
+        const names = CARD_SWATCH_FIELDS.concat(Object.keys(settings).filter(name => /_color$/.test(name)));
+        names.forEach(name => {
+            const value = settings[name];
+            const color = typeof value === 'string' ? normalizeColorValue(name, value) : null;
+            if (color && colors.length < CARD_SWATCH_COUNT && colors.indexOf(color) === -1) {
+                colors.push(color);
+            }
+        });
+        return colors;
+    }
+
+    /**
+     * Gallery card for a built-in or server-provided preset: name, description,
+     * color swatches and a heading/body sample in the preset's fonts
+     */
+    function createPresetCard(presetName) {
+        const settings = getPreset(presetName);
+        const preset = PRESETS[presetName];
+        const card = document.createElement('div');
+        card.className = 'preset-card';
+        card.setAttribute('role', 'radio');
+        card.setAttribute('aria-checked', 'false');
+        card.tabIndex = -1;
+        card.dataset.preset = presetName;
+        card.style.cssText = 'width: 200px; background: #fff; border: 2px solid #dee2e6; border-radius: 6px; overflow: hidden; cursor: pointer;';
+
+        const swatches = document.createElement('div');
+        swatches.style.cssText = 'display: flex; height: 18px;';
+        getPresetSwatches(settings).forEach(color => {
+            const swatch = document.createElement('span');
+            swatch.style.cssText = `flex: 1; background: ${color};`;
+            swatch.title = color;
+            swatches.appendChild(swatch);
+        });
+        card.appendChild(swatches);
+
+        const sample = document.createElement('div');
+        sample.setAttribute('aria-hidden', 'true');
+        sample.style.cssText = `padding: 8px 10px; background: ${settings.toc_background_color || '#ffffff'}; border-bottom: 1px solid #dee2e6;`;
+        const heading = document.createElement('div');
+        heading.textContent = 'Heading';
+        heading.style.cssText = 'font-size: 20px; line-height: 1.2;';
+        heading.style.color = settings.h1_font_color || '#333333';
+        heading.style.fontWeight = settings.h1_font_weight || '600';
+        const body = document.createElement('div');
+        body.textContent = 'Body text in the collection';
+        body.style.cssText = 'font-size: 13px; margin-top: 2px;';
+        loadFontFamilies().then(families => {
+            const stack = key => (families[key] || families.helvetica || {}).stack || '';
+            heading.style.fontFamily = stack(settings.h1_font_family);
+            body.style.fontFamily = stack(settings.body_font_family);
+        });
+        body.style.color = settings.body_font_color || '#333333';
+        sample.appendChild(heading);
+        sample.appendChild(body);
+        card.appendChild(sample);
+
+        const text = document.createElement('div');
+        text.style.cssText = 'padding: 6px 10px 8px;';
+        const name = document.createElement('div');
+        name.style.cssText = 'font-weight: 600; color: #495057;';
+        name.textContent = getPresetLabel(presetName);
+        text.appendChild(name);
+        if (preset.description) {
+            const description = document.createElement('div');
+            description.style.cssText = 'font-size: 12px; color: #6c757d; margin-top: 2px;';
+            description.textContent = String(preset.description);
+            text.appendChild(description);
+        }
+        if (preset.extends || preset.scope) {
+            const layering = document.createElement('div');
+            layering.style.cssText = 'font-size: 11px; color: #6c757d; margin-top: 4px;';
+            layering.textContent = [
+                preset.extends ? `Based on ${getPresetLabel(String(preset.extends))}` : '',
+                preset.scope ? `Only: ${[].concat(preset.scope).map(entry => ELEMENT_GROUP_LABELS[entry] || String(entry).replace(/_/g, ' ')).join(', ')}` : ''
+            ].filter(Boolean).join(' · ');
+            text.appendChild(layering);
+        }
+        card.appendChild(text);
+        card.setAttribute('aria-label', getPresetLabel(presetName));
+        return card;
+    }
+
+    function renderPresetGallery(gallery) {
+        gallery.textContent = '';
+        Object.keys(PRESETS).forEach(presetName => gallery.appendChild(createPresetCard(presetName)));
+        syncPresetGallery(gallery);
+    }
+
+    /**
+     * Mark the card matching the style_preset select; it is also the gallery's tab stop
+     */
+    function syncPresetGallery(gallery) {
+        const select = findField('style_preset');
+        const cards = Array.from(gallery.querySelectorAll('.preset-card'));
+        const selected = cards.find(card => select && card.dataset.preset === select.value);
+        // Leave the tab stop where it is while the user is moving through the cards
+        const moveTabStop = !gallery.contains(document.activeElement);
+        cards.forEach(card => {
+            const checked = card === selected;
+            card.setAttribute('aria-checked', checked ? 'true' : 'false');
+            card.style.borderColor = checked ? '#007bff' : '#dee2e6';
+            card.style.boxShadow = checked ? '0 0 0 2px rgba(0, 123, 255, 0.25)' : 'none';
+            if (moveTabStop) card.tabIndex = card === (selected || cards[0]) ? 0 : -1;
+        });
+    }
+
+    function onPresetGalleryKeydown(e) {
+        const card = e.target.closest('.preset-card');
+        if (!card) return;
+        const cards = Array.from(e.currentTarget.querySelectorAll('.preset-card'));
+        const index = cards.indexOf(card);
+        let next = null;
+
+        switch (e.key) {
+            case 'ArrowRight':
+            case 'ArrowDown':
+                next = cards[(index + 1) % cards.length];
+                break;
+            case 'ArrowLeft':
+            case 'ArrowUp':
+                next = cards[(index - 1 + cards.length) % cards.length];
+                break;
+            case 'Home':
+                next = cards[0];
+                break;
+            case 'End':
+                next = cards[cards.length - 1];
+                break;
+            case 'Enter':
+            case ' ':
+                // Arrows only move focus: choosing a preset opens the review dialog
+                e.preventDefault();
+                card.click();
+                return;
+            default:
+                return;
+        }
+        e.preventDefault();
+        cards.forEach(c => { c.tabIndex = c === next ? 0 : -1; });
+        next.focus();
+    }
+
     function createPresetControls() {
         const stylePresetField = findField('style_preset');
         const presetModeField = findField('preset_mode');
         const applyPresetField = findField('apply_preset_now');
         
         if (!stylePresetField) {
-            console.warn('Enhanced Preset: style_preset field not found');
+            log.warn('Enhanced Preset: style_preset field not found');
             return;
         }
         
@@ -253,17 +1593,39 @@
         `;
         
         container.innerHTML = `
-            <h4 style="margin: 0 0 12px 0; color: #495057;">Preset Controls</h4>
-            <div style="margin-bottom: 12px;">
-                <button type="button" id="apply-traditional-preset" style="margin-right: 8px; padding: 8px 16px; background: #6c757d; color: white; border: none; border-radius: 4px; cursor: pointer;">
-                    Apply Traditional Preset
+            <div style="display: flex; align-items: center; margin: 0 0 12px 0;">
+                <h4 style="margin: 0; flex: 1; color: #495057;">Preset Controls</h4>
+                <button type="button" id="preset-compare" data-action="open-preset-preview" data-compare="1" style="margin-right: 12px; padding: 4px 10px; background: #fff; color: #495057; border: 1px solid #ced4da; border-radius: 4px; cursor: pointer;" hidden>
+                    Compare side by side
+                </button>
+                <button type="button" id="preset-history-undo" style="margin-right: 6px; padding: 4px 10px; background: #fff; color: #495057; border: 1px solid #ced4da; border-radius: 4px; cursor: pointer;" disabled>
+                    ↶ Undo
                 </button>
-                <button type="button" id="apply-modern-preset" style="padding: 8px 16px; background: #007bff; color: white; border: none; border-radius: 4px; cursor: pointer;">
-                    Apply Modern Preset
+                <button type="button" id="preset-history-redo" style="padding: 4px 10px; background: #fff; color: #495057; border: 1px solid #ced4da; border-radius: 4px; cursor: pointer;" disabled>
+                    ↷ Redo
                 </button>
             </div>
+            <div class="preset-gallery" role="radiogroup" aria-label="Style presets" style="display: flex; flex-wrap: wrap; gap: 10px; margin-bottom: 12px;"></div>
             <div style="font-size: 12px; color: #6c757d;">
-                These buttons will load preset values into the form fields below, allowing you to see and modify them before saving.
+                Choosing a preset lists the settings it would change so you can pick which ones to load into the form fields below. Nothing is saved until you save the form.
+            </div>
+            <div style="margin-top: 12px; padding-top: 12px; border-top: 1px solid #dee2e6;">
+                <div style="font-weight: 600; color: #495057; margin-bottom: 6px;">Custom presets</div>
+                <div class="custom-preset-list" style="margin-bottom: 8px;"></div>
+                <input type="text" id="custom-preset-name" placeholder="Preset name, e.g. Summer reading" maxlength="80" style="padding: 5px 8px; border: 1px solid #ced4da; border-radius: 4px; margin-right: 8px;">
+                <button type="button" id="save-custom-preset" style="padding: 6px 12px; background: #28a745; color: white; border: none; border-radius: 4px; cursor: pointer;">
+                    Save current settings as preset
+                </button>
+            </div>
+            <div style="margin-top: 12px; padding-top: 12px; border-top: 1px solid #dee2e6;">
+                <button type="button" id="export-preset-file" style="margin-right: 8px; padding: 6px 12px; background: #fff; color: #495057; border: 1px solid #ced4da; border-radius: 4px; cursor: pointer;">
+                    Export current settings
+                </button>
+                <button type="button" id="import-preset-file" style="padding: 6px 12px; background: #fff; color: #495057; border: 1px solid #ced4da; border-radius: 4px; cursor: pointer;">
+                    Import preset file
+                </button>
+                <input type="file" id="import-preset-input" accept="application/json,.json" hidden>
+                <div class="preset-import-report" style="display: none; margin-top: 8px; font-size: 12px;" aria-live="polite"></div>
             </div>
         `;
         
@@ -276,75 +1638,122 @@
             insertAfter.parentNode.insertBefore(container, insertAfter.nextSibling);
         }
         
-        // Wire up button events
-        const traditionalBtn = container.querySelector('#apply-traditional-preset');
-        const modernBtn = container.querySelector('#apply-modern-preset');
-        
-        traditionalBtn?.addEventListener('click', () => {
-            if (stylePresetField) stylePresetField.value = 'traditional';
-            applyPreset('traditional');
+        // Review the changes first; the style_preset select follows once something is applied
+        // (or straight away when the form already matches the preset)
+        const previewBuiltIn = (presetName) => {
+            // Presets without a style_preset option (server-provided extras) leave the select alone
+            const selectPreset = () => {
+                if ((getSelectOptions('style_preset') || []).indexOf(presetName) !== -1) {
+                    setFieldValue('style_preset', presetName);
+                }
+            };
+            if (!previewPreset(presetName, selectPreset)) selectPreset();
+        };
+
+        // Preset gallery
+        const gallery = container.querySelector('.preset-gallery');
+        renderPresetGallery(gallery);
+        gallery.addEventListener('click', (e) => {
+            const card = e.target.closest('.preset-card');
+            if (card) previewBuiltIn(card.dataset.preset);
         });
-        
-        modernBtn?.addEventListener('click', () => {
-            if (stylePresetField) stylePresetField.value = 'modern';
-            applyPreset('modern');
+        gallery.addEventListener('keydown', onPresetGalleryKeydown);
+        // setFieldValue and undo/redo dispatch change on the select too
+        stylePresetField.addEventListener('change', () => syncPresetGallery(gallery));
+
+        // Custom presets
+        const customList = container.querySelector('.custom-preset-list');
+        const customNameInput = container.querySelector('#custom-preset-name');
+        const saveCustomBtn = container.querySelector('#save-custom-preset');
+
+        renderCustomPresetList(customList);
+        customList.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-preset-action]');
+            if (btn) handleCustomPresetAction(btn.dataset.presetAction, btn.dataset.presetId, customList);
         });
-        
-        // Auto-apply when apply_preset_now checkbox is checked
+        saveCustomBtn?.addEventListener('click', () => {
+            const id = saveCustomPreset(customNameInput.value);
+            if (!id) return;
+            customNameInput.value = '';
+            renderCustomPresetList(customList);
+            showNotification(
+                findField(CUSTOM_PRESETS_FIELD)
+                    ? `Saved preset "${getPresetLabel(id)}". Save the theme settings to share it with other admins.`
+                    : `Saved preset "${getPresetLabel(id)}" in this browser only (custom_presets setting not found).`,
+                'success'
+            );
+        });
+        customNameInput?.addEventListener('keydown', (e) => {
+            // Enter would submit the theme form
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                saveCustomBtn?.click();
+            }
+        });
+
+        // Preset file export/import
+        const exportBtn = container.querySelector('#export-preset-file');
+        const importBtn = container.querySelector('#import-preset-file');
+        const importInput = container.querySelector('#import-preset-input');
+        const importReport = container.querySelector('.preset-import-report');
+
+        exportBtn?.addEventListener('click', exportCurrentSettings);
+        importBtn?.addEventListener('click', () => importInput?.click());
+        importInput?.addEventListener('change', () => {
+            const file = importInput.files && importInput.files[0];
+            if (!file) return;
+            importPresetFile(file, importReport).finally(() => {
+                // Allow re-importing the same file
+                importInput.value = '';
+            });
+        });
+
+        // apply_preset_now is a trigger: it opens the same review as the gallery and unticks itself
         if (applyPresetField) {
-            let isApplying = false; // Flag to prevent re-entrancy
-            
             applyPresetField.addEventListener('change', function() {
-                if (this.checked && !isApplying) {
-                    // Set flag and disable checkbox to prevent concurrent applications
-                    isApplying = true;
-                    const originalDisabled = this.disabled;
-                    this.disabled = true;
-                    
-                    try {
-                        const selectedPreset = stylePresetField.value || 'traditional';
-                        
-                        // Create async wrapper for applyPreset to handle completion properly
-                        const applyPresetAsync = () => {
-                            return new Promise((resolve, reject) => {
-                                try {
-                                    const result = applyPreset(selectedPreset);
-                                    // Small delay to ensure all DOM updates complete
-                                    setTimeout(() => resolve(result), 100);
-                                } catch (error) {
-                                    reject(error);
-                                }
-                            });
-                        };
-                        
-                        applyPresetAsync()
-                            .then((result) => {
-                                __log(`Enhanced Preset: Successfully applied ${selectedPreset} preset`);
-                            })
-                            .catch((error) => {
-                                __error(`Enhanced Preset: Error applying ${selectedPreset} preset:`, error);
-                                showNotification(`Error applying ${selectedPreset} preset. Please try again.`, 'error');
-                            })
-                            .finally(() => {
-                                // Always reset state in finally block
-                                this.checked = false;
-                                this.disabled = originalDisabled;
-                                isApplying = false;
-                            });
-                            
-                    } catch (error) {
-                        // Handle immediate errors
-                        __error('Enhanced Preset: Immediate error:', error);
-                        this.checked = false;
-                        this.disabled = originalDisabled;
-                        isApplying = false;
-                        showNotification('Error applying preset. Please try again.', 'error');
-                    }
-                }
+                if (!this.checked) return;
+                this.checked = false;
+                previewBuiltIn(stylePresetField.value || 'traditional');
             });
         }
         
-        console.log('Enhanced Preset: Controls created successfully');
+        // Side-by-side comparison opens in the preview modal (preset-preview.js)
+        container.querySelector('#preset-compare').hidden = !window.PresetPreview;
+
+        // Undo/redo
+        const undoBtn = container.querySelector('#preset-history-undo');
+        const redoBtn = container.querySelector('#preset-history-redo');
+        const updateHistoryButtons = () => {
+            const nextUndo = History.undoStack[History.undoStack.length - 1];
+            const nextRedo = History.redoStack[History.redoStack.length - 1];
+            undoBtn.disabled = !nextUndo;
+            redoBtn.disabled = !nextRedo;
+            undoBtn.title = nextUndo ? `Undo: ${nextUndo.label} (Ctrl+Z)` : 'Nothing to undo';
+            redoBtn.title = nextRedo ? `Redo: ${nextRedo.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+        };
+        undoBtn.addEventListener('click', undo);
+        redoBtn.addEventListener('click', redo);
+        History.listeners.push(updateHistoryButtons);
+        initHistory();
+        updateHistoryButtons();
+
+        // Flag built-in/server presets that do not match the theme settings schema
+        const presetProblems = Object.keys(PRESETS).map(presetName => {
+            const resolved = resolvePreset(presetName);
+            const problems = resolved.problems.concat(describeValidationProblems(validatePreset(resolved.settings)));
+            if (problems.length) log.warn(`Enhanced Preset: ${presetName} preset has invalid values:`, problems);
+            return problems.length ? `${getPresetLabel(presetName)}: ${problems.length} invalid value(s) will be skipped` : '';
+        }).filter(Boolean);
+        if (presetProblems.length) {
+            const warning = document.createElement('div');
+            warning.className = 'preset-validation-warning';
+            warning.style.cssText = 'font-size: 12px; color: #856404; background: #fff3cd; border-radius: 4px; padding: 6px 8px; margin-bottom: 8px;';
+            warning.textContent = presetProblems.join('; ');
+            warning.title = 'Add ?debug to the URL to log the details';
+            undoBtn.parentNode.insertAdjacentElement('afterend', warning);
+        }
+
+        log.debug('Enhanced Preset: Controls created successfully');
     }
     
     function init() {
@@ -354,7 +1763,7 @@
             return;
         }
         
-        console.log('Enhanced Preset: DOM ready, creating controls...');
+        log.debug('Enhanced Preset: DOM ready, creating controls...');
         createPresetControls();
     }
     
@@ -364,9 +1773,32 @@
     // Expose for debugging
     window.EnhancedPresetSystem = {
         applyPreset,
+        previewPreset,
+        showValuesDiff,
+        loadFontFamilies,
+        showNotification,
+        computeSettingsDiff,
         PRESETS,
         findField,
-        setFieldValue
+        getSiteSlug,
+        getBasePath,
+        getSiteUrl,
+        setFieldValue,
+        collectCurrentSettings,
+        exportCurrentSettings,
+        importPresetFile,
+        getPreset,
+        resolvePreset,
+        validatePreset,
+        validateSettingValue,
+        recordHistory,
+        undo,
+        redo,
+        loadCustomPresets,
+        saveCustomPreset,
+        renameCustomPreset,
+        duplicateCustomPreset,
+        deleteCustomPreset
     };
     
 })();
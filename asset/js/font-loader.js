@@ -2,44 +2,69 @@
  * Font Loading Optimization
  * 
  * This script optimizes font loading performance and provides fallbacks
- * when Google Fonts fail to load.
+ * when Google Fonts fail to load. It is loaded in the head (see layout.phtml).
  */
 
 (function() {
     'use strict';
+
+    const log = window.LibraryThemeLog.create('fonts');
     
-    // Font loading configuration
+    // Font loading configuration. The families come from the resolved theme settings:
+    // theme-setting-css.phtml writes the web font faces they use into #library-theme-fonts,
+    // along with the font_provider setting (google, self_hosted or system).
     const FONT_CONFIG = {
         timeout: 3000, // 3 seconds timeout
-        families: [
-            'Roboto:300,400,500,600,700,800',
-            'Open Sans:300,400,500,600,700,800',
-            'Lato:300,400,700',
-            'Montserrat:300,400,500,600,700,800',
-            'Source Sans Pro:300,400,600,700',
-            'Nunito:300,400,500,600,700,800',
-            'Poppins:300,400,500,600,700,800',
-            'Inter:300,400,500,600,700,800',
-            'Work Sans:300,400,500,600,700,800',
-            'Fira Sans:300,400,500,600,700,800',
-            'Merriweather:300,400,700',
-            'Playfair Display:400,600,700',
-            'Crimson Text:400,600',
-            'Libre Baskerville:400,700',
-            'Lora:400,500,600,700',
-            'PT Serif:400,700',
-            'Source Serif Pro:400,600,700',
-            'Oswald:300,400,500,600,700',
-            'Raleway:300,400,500,600,700,800',
-            'Bebas Neue:400',
-            'Anton:400',
-            'Dancing Script:400,500,600,700',
-            'Pacifico:400',
-            'Fira Code:300,400,500,600,700',
-            'Source Code Pro:300,400,500,600,700'
-        ]
+        dataId: 'library-theme-fonts',
+        styleId: 'library-theme-font-faces',
+        fallbackStyleId: 'library-theme-font-fallbacks'
     };
-    
+
+    /**
+     * Faces the settings use:
+     * { provider, families: [{family, roles, faces: [{weight, style}]}], url, base, manifest, site }
+     */
+    function readFontData() {
+        const empty = { provider: 'system', families: [], url: null, base: '', manifest: {}, site: '' };
+        const node = document.getElementById(FONT_CONFIG.dataId);
+        if (!node) return empty;
+        try {
+            const data = JSON.parse(node.textContent);
+            return {
+                provider: data.provider || 'google',
+                families: data.families || [],
+                url: data.url || null,
+                base: data.base || '',
+                manifest: data.manifest || {},
+                site: data.site || ''
+            };
+        } catch (e) {
+            log.warn('Unreadable font data in #' + FONT_CONFIG.dataId, e);
+            return empty;
+        }
+    }
+
+    const fontData = readFontData();
+
+    // One entry per face, e.g. { family: 'Cormorant Garamond', weight: 600, style: 'italic' }
+    function requestedFaces() {
+        const faces = [];
+        if (fontData.provider === 'system') return faces;
+        fontData.families.forEach(entry => {
+            entry.faces.forEach(face => faces.push({ family: entry.family, weight: face.weight, style: face.style }));
+        });
+        return faces;
+    }
+
+    function faceLabel(face) {
+        return face.family + ' ' + face.weight + (face.style === 'italic' ? ' italic' : '');
+    }
+
+    // CSS font shorthand for document.fonts.load()/check()
+    function faceDescriptor(face) {
+        return (face.style === 'italic' ? 'italic ' : '') + face.weight + ' 1em "' + face.family + '"';
+    }
+
     // Font loading states
     const FontLoadingStates = {
         LOADING: 'fonts-loading',
@@ -48,175 +73,559 @@
     };
     
     /**
-     * Initialize font loading
+     * Load the requested faces through the Font Loading API; resolves when all have settled
      */
-    function initFontLoading() {
-        // Add loading class
-        document.documentElement.classList.add(FontLoadingStates.LOADING);
-        
-        // Check if Web Font Loader is available
-        if (typeof WebFont !== 'undefined') {
-            loadFontsWithWebFontLoader();
-        } else {
-            // Fallback to native font loading API
-            loadFontsNatively();
+    function loadFaces(faces) {
+        if (!('fonts' in document)) {
+            // Font Loading API not supported, assume fonts are loaded
+            return new Promise(resolve => setTimeout(resolve, 100));
         }
+        return Promise.all(faces.map(face => document.fonts.load(faceDescriptor(face)).catch(() => [])));
     }
-    
+
+    function appendLink(rel, href, attributes) {
+        const link = document.createElement('link');
+        link.rel = rel;
+        link.href = href;
+        Object.keys(attributes || {}).forEach(name => { link[name] = attributes[name]; });
+        document.head.appendChild(link);
+        return link;
+    }
+
     /**
-     * Load fonts using Web Font Loader
+     * Requested faces matched to files in the self-hosted manifest (asset/fonts/manifest.json):
+     * same style, nearest weight. Faces without a file fall back to the rest of the CSS stack.
      */
-    function loadFontsWithWebFontLoader() {
-        WebFont.load({
-            google: {
-                families: FONT_CONFIG.families
-            },
-            timeout: FONT_CONFIG.timeout,
-            active: function() {
-                onFontsLoaded();
-            },
-            inactive: function() {
-                onFontsFailed();
+    let localMatches = null;
+    function localFaces() {
+        if (localMatches) return localMatches;
+        const matched = [];
+        const missing = [];
+        requestedFaces().forEach(face => {
+            const files = (fontData.manifest[face.family] || []).filter(file => (file.style || 'normal') === face.style);
+            if (!files.length) {
+                missing.push(faceLabel(face));
+                return;
+            }
+            const weightOf = file => parseInt(String(file.weight || 400), 10);
+            const best = files.reduce((a, b) => Math.abs(weightOf(b) - face.weight) < Math.abs(weightOf(a) - face.weight) ? b : a);
+            matched.push({ face: face, file: best });
+        });
+        if (missing.length) log.warn('No self-hosted file for:', missing.join(', '), '- using the fallback fonts');
+        localMatches = matched;
+        return matched;
+    }
+
+    function fontFormat(file) {
+        const ext = file.split('?')[0].split('.').pop().toLowerCase();
+        return { woff2: 'woff2', woff: 'woff', ttf: 'truetype', otf: 'opentype' }[ext] || null;
+    }
+
+    // --- Metric-matched fallbacks ------------------------------------------------------
+    // Until a web font arrives (or for good, after FONT_CONFIG.timeout) text is set in
+    // "<Family> Fallback": a local system font scaled with size-adjust and given the web font's
+    // ascent, descent and line gap, so lines keep their length and height when the font swaps.
+    // The stacks in $fontFamilyMap (theme-setting-css.phtml) list it right after the web font.
+
+    // Local fonts the fallbacks are built on. Liberation, Arimo, Tinos and Cousine have the same
+    // metrics, so Linux and ChromeOS get the same adjustment.
+    const FALLBACK_FONTS = {
+        arial: {
+            avgWidth: 0.4413,
+            regular: ['Arial', 'ArialMT', 'Liberation Sans', 'Arimo'],
+            bold: ['Arial Bold', 'Arial-BoldMT', 'Liberation Sans Bold', 'Arimo Bold']
+        },
+        times: {
+            avgWidth: 0.3992,
+            regular: ['Times New Roman', 'TimesNewRomanPSMT', 'Liberation Serif', 'Tinos'],
+            bold: ['Times New Roman Bold', 'TimesNewRomanPS-BoldMT', 'Liberation Serif Bold', 'Tinos Bold']
+        },
+        courier: {
+            avgWidth: 0.6001,
+            regular: ['Courier New', 'CourierNewPSMT', 'Liberation Mono', 'Cousine'],
+            bold: ['Courier New Bold', 'CourierNewPS-BoldMT', 'Liberation Mono Bold', 'Cousine Bold']
+        }
+    };
+
+    // Web font metrics per em: ascent, descent and line gap (hhea) and the average width of
+    // Latin text. The script faces (Dancing Script, Pacifico) fall back to `cursive`, which has
+    // no predictable metrics, so they have no entry. FontLoader.layoutShift() shows what is left.
+    const FONT_METRICS = {
+        'Roboto': { fallback: 'arial', ascent: 0.9277, descent: 0.2441, lineGap: 0, avgWidth: 0.4426 },
+        'Open Sans': { fallback: 'arial', ascent: 1.0688, descent: 0.2930, lineGap: 0, avgWidth: 0.4655 },
+        'Lato': { fallback: 'arial', ascent: 0.9870, descent: 0.2130, lineGap: 0, avgWidth: 0.4297 },
+        'Oswald': { fallback: 'arial', ascent: 1.1930, descent: 0.2890, lineGap: 0, avgWidth: 0.3570 },
+        'Raleway': { fallback: 'arial', ascent: 0.9400, descent: 0.2340, lineGap: 0, avgWidth: 0.4680 },
+        'Bebas Neue': { fallback: 'arial', ascent: 0.9000, descent: 0.3000, lineGap: 0, avgWidth: 0.3800 },
+        'Anton': { fallback: 'arial', ascent: 1.1765, descent: 0.3290, lineGap: 0, avgWidth: 0.4100 },
+        'Playfair Display': { fallback: 'times', ascent: 1.0820, descent: 0.2510, lineGap: 0, avgWidth: 0.4477 },
+        'Merriweather': { fallback: 'times', ascent: 0.9840, descent: 0.2730, lineGap: 0, avgWidth: 0.5010 },
+        'Crimson Text': { fallback: 'times', ascent: 0.9492, descent: 0.3506, lineGap: 0, avgWidth: 0.3832 },
+        'Cormorant Garamond': { fallback: 'times', ascent: 0.9240, descent: 0.2870, lineGap: 0, avgWidth: 0.3513 },
+        'Cormorant SC': { fallback: 'times', ascent: 0.9240, descent: 0.2870, lineGap: 0, avgWidth: 0.4300 },
+        'Cormorant Infant': { fallback: 'times', ascent: 0.9240, descent: 0.2870, lineGap: 0, avgWidth: 0.3513 },
+        'Fira Code': { fallback: 'courier', ascent: 0.9350, descent: 0.2650, lineGap: 0, avgWidth: 0.6154 },
+        'Source Code Pro': { fallback: 'courier', ascent: 0.9840, descent: 0.2730, lineGap: 0, avgWidth: 0.6000 }
+    };
+
+    function percent(value) {
+        return (Math.round(value * 10000) / 100) + '%';
+    }
+
+    /**
+     * @font-face rules for the fallbacks of the web fonts in use: a regular and a bold face each,
+     * so bold text uses the real bold system font instead of a synthesized one
+     */
+    function fallbackRules() {
+        if (fontData.provider === 'system') return [];
+        const rules = [];
+        fontData.families.forEach(entry => {
+            const metrics = FONT_METRICS[entry.family];
+            if (!metrics) return;
+            const local = FALLBACK_FONTS[metrics.fallback];
+            const sizeAdjust = metrics.avgWidth / local.avgWidth;
+            [['100 549', local.regular], ['550 900', local.bold]].forEach(([weight, names]) => {
+                rules.push([
+                    '@font-face {',
+                    '    font-family: "' + entry.family + ' Fallback";',
+                    '    src: ' + names.map(name => 'local("' + name + '")').join(', ') + ';',
+                    '    font-weight: ' + weight + ';',
+                    '    size-adjust: ' + percent(sizeAdjust) + ';',
+                    '    ascent-override: ' + percent(metrics.ascent / sizeAdjust) + ';',
+                    '    descent-override: ' + percent(metrics.descent / sizeAdjust) + ';',
+                    '    line-gap-override: ' + percent(metrics.lineGap / sizeAdjust) + ';',
+                    '}'
+                ].join('\n'));
+            });
+        });
+        return rules;
+    }
+
+    // Runs as soon as the script does (it is loaded in the head), before the first paint
+    function injectFallbackFaces() {
+        const rules = fallbackRules();
+        if (!rules.length || document.getElementById(FONT_CONFIG.fallbackStyleId)) return;
+        const style = document.createElement('style');
+        style.id = FONT_CONFIG.fallbackStyleId;
+        style.textContent = rules.join('\n');
+        document.head.appendChild(style);
+        log.debug('Fallback faces:', fontData.families.filter(entry => FONT_METRICS[entry.family]).map(entry => entry.family + ' Fallback').join(', '));
+    }
+
+    // --- Layout shift ----------------------------------------------------------------
+    // Cumulative layout shift (without shifts right after input), and the part of it up to
+    // shortly after the fonts settled, which is where a font swap shows up.
+
+    const LAYOUT_SHIFT_SETTLE = 1000; // ms after fontsLoaded/fontsFailed still counted for fonts
+    const layoutShift = { supported: false, total: 0, fonts: 0, settledAt: null };
+
+    function observeLayoutShift() {
+        if (typeof PerformanceObserver === 'undefined' || (PerformanceObserver.supportedEntryTypes || []).indexOf('layout-shift') === -1) return;
+        layoutShift.supported = true;
+        new PerformanceObserver(list => {
+            list.getEntries().forEach(entry => {
+                if (entry.hadRecentInput) return;
+                layoutShift.total += entry.value;
+                if (layoutShift.settledAt === null || entry.startTime <= layoutShift.settledAt + LAYOUT_SHIFT_SETTLE) {
+                    layoutShift.fonts += entry.value;
+                }
+            });
+        }).observe({ type: 'layout-shift', buffered: true });
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') log.debug('Layout shift (page total):', layoutShift.total.toFixed(4));
+        });
+    }
+
+    function getLayoutShift() {
+        return {
+            supported: layoutShift.supported,
+            total: Number(layoutShift.total.toFixed(4)),
+            fonts: Number(layoutShift.fonts.toFixed(4))
+        };
+    }
+
+    // Called when loading settles; logs the shift once the swap has been laid out
+    function reportLayoutShift() {
+        if (!layoutShift.supported) return;
+        layoutShift.settledAt = performance.now();
+        setTimeout(() => {
+            log.info('Layout shift up to ' + LAYOUT_SHIFT_SETTLE + ' ms after the fonts settled:', getLayoutShift().fonts,
+                '(page so far: ' + getLayoutShift().total + ')');
+        }, LAYOUT_SHIFT_SETTLE);
+    }
+
+    // --- Persistent font cache ---------------------------------------------------------
+    // Font files (and Google's stylesheet) are kept in Cache Storage and registered as FontFace
+    // objects from there on later visits. The cache name carries the site slug, a format version
+    // and a hash of the font set (provider + faces), so changing the fonts in the settings starts
+    // a new cache and that site's old one is deleted. Other sites on the origin keep theirs.
+
+    const FONT_CACHE = {
+        prefix: 'library-theme-fonts-',
+        version: 'v1',
+        // Written by nothing, but older versions of this file read it
+        legacy: ['font-cache-v1']
+    };
+
+    // 'library-theme-fonts-<slug>/': slugs never contain '/', so one site's scope is not a
+    // prefix of another's
+    function siteCachePrefix() {
+        return FONT_CACHE.prefix + fontData.site + '/';
+    }
+
+    // Caches from before the names carried a site, shared by every site on the origin
+    function isUnscopedCache(key) {
+        return FONT_CACHE.legacy.indexOf(key) !== -1 || (key.indexOf(FONT_CACHE.prefix) === 0 && key.indexOf('/') === -1);
+    }
+
+    function hashString(text) {
+        let hash = 5381;
+        for (let i = 0; i < text.length; i++) {
+            hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+        }
+        return (hash >>> 0).toString(36);
+    }
+
+    function fontSetKey() {
+        if (fontData.provider === 'self_hosted') {
+            return 'self_hosted|' + localFaces().map(({ file }) => fontData.base + file.file + '@' + file.weight + file.style).join(',');
+        }
+        return fontData.provider + '|' + (fontData.url || '');
+    }
+
+    /**
+     * Open this font set's cache, deleting this site's caches of other sets and versions
+     *
+     * @returns {Promise<Cache|null>} null when Cache Storage or FontFace is unavailable
+     */
+    function openFontCache() {
+        if (!('caches' in window) || !('fonts' in document) || typeof FontFace === 'undefined' || !requestedFaces().length) {
+            return Promise.resolve(null);
+        }
+        const name = siteCachePrefix() + FONT_CACHE.version + '-' + hashString(fontSetKey());
+        return caches.keys().then(keys => {
+            const stale = keys.filter(key => key !== name && (key.indexOf(siteCachePrefix()) === 0 || isUnscopedCache(key)));
+            if (stale.length) log.debug('Evicting font caches:', stale.join(', '));
+            return Promise.all(stale.map(key => caches.delete(key)));
+        }).then(() => caches.open(name)).catch(error => {
+            log.warn('Font cache unavailable:', error);
+            return null;
+        });
+    }
+
+    function fetchFontResource(url) {
+        return fetch(url, { mode: 'cors', credentials: 'omit' }).then(response => {
+            if (!response.ok) throw new Error(url + ': HTTP ' + response.status);
+            return response;
+        });
+    }
+
+    // Text of a stylesheet, from the cache or fetched and stored
+    function cachedText(cache, url) {
+        return cache.match(url).then(hit => {
+            if (hit) return hit.text();
+            return fetchFontResource(url).then(response => {
+                return cache.put(url, response.clone()).catch(() => {}).then(() => response.text());
+            });
+        });
+    }
+
+    /**
+     * Register faces with document.fonts: cached files from their bytes, the others by URL.
+     * A face loaded from the network is stored once the browser has it (fonts for scripts
+     * the page never shows, e.g. Cyrillic subsets, are never fetched or stored).
+     *
+     * @param {Cache} cache
+     * @param {Array<{family: string, url: string, descriptors: Object}>} declarations
+     * @param {string[]} keep Other URLs in the cache to keep (the stylesheet)
+     */
+    function registerCachedFaces(cache, declarations, keep) {
+        const wanted = keep.concat(declarations.map(d => d.url));
+        // Files from an older version of the same set (e.g. Google bumped a file) go
+        cache.keys().then(requests => {
+            requests.forEach(request => {
+                if (wanted.indexOf(request.url) === -1) cache.delete(request);
+            });
+        }).catch(() => {});
+
+        let fromCache = 0;
+        return Promise.all(declarations.map(d => {
+            return cache.match(d.url).then(hit => hit ? hit.arrayBuffer() : null).catch(() => null).then(buffer => {
+                if (buffer) {
+                    fromCache++;
+                    const fontFace = new FontFace(d.family, buffer, d.descriptors);
+                    document.fonts.add(fontFace);
+                    return fontFace.load().catch(() => null);
+                }
+                const fontFace = new FontFace(d.family, 'url("' + d.url + '")', d.descriptors);
+                document.fonts.add(fontFace);
+                fontFace.loaded.then(() => fetchFontResource(d.url)).then(response => cache.put(d.url, response)).catch(() => {});
+                return null;
+            });
+        })).then(() => {
+            log.debug('Font faces registered:', declarations.length, '(' + fromCache + ' from cache)');
+        });
+    }
+
+    // @font-face blocks of Google's css2 stylesheet as FontFace declarations
+    function parseFontFaceRules(css) {
+        const declarations = [];
+        const blocks = css.match(/@font-face\s*\{[^}]*\}/g) || [];
+        blocks.forEach(block => {
+            const props = {};
+            block.replace(/([\w-]+)\s*:\s*([^;}]+)/g, (match, name, value) => { props[name.toLowerCase()] = value.trim(); });
+            const url = (props.src || '').match(/url\(\s*['"]?([^'")]+)['"]?\s*\)/);
+            if (!props['font-family'] || !url) return;
+            const descriptors = { display: 'swap' };
+            if (props['font-style']) descriptors.style = props['font-style'];
+            if (props['font-weight']) descriptors.weight = props['font-weight'];
+            if (props['unicode-range']) descriptors.unicodeRange = props['unicode-range'];
+            declarations.push({ family: props['font-family'].replace(/['"]/g, ''), url: url[1], descriptors: descriptors });
+        });
+        return declarations;
+    }
+
+    /**
+     * Font providers. Each can preload and load the requested faces; load() resolves when they
+     * have settled and rejects when the provider cannot be reached. With a cache (see
+     * openFontCache) they register the faces from Cache Storage instead.
+     */
+    const FontProviders = {
+        // Google Fonts: one css2 stylesheet for the faces in use
+        google: {
+            preload() {
+                appendLink('preconnect', 'https://fonts.googleapis.com');
+                appendLink('preconnect', 'https://fonts.gstatic.com', { crossOrigin: 'anonymous' });
+                appendLink('preload', fontData.url, { as: 'style' });
             },
-            fontactive: function(familyName, fvd) {
-                console.log('Font loaded:', familyName, fvd);
+            load(cache) {
+                if (cache) {
+                    return cachedText(cache, fontData.url)
+                        .then(css => registerCachedFaces(cache, parseFontFaceRules(css), [fontData.url]))
+                        .then(() => loadFaces(requestedFaces()));
+                }
+                // Check if Web Font Loader is available
+                if (typeof WebFont !== 'undefined') {
+                    return loadFontsWithWebFontLoader();
+                }
+                // Google's CSS declares the faces; loading each one fetches just that file
+                const stylesheet = appendLink('stylesheet', fontData.url);
+                return new Promise((resolve, reject) => {
+                    stylesheet.onload = resolve;
+                    stylesheet.onerror = () => reject(new Error('Google Fonts stylesheet failed to load'));
+                }).then(() => loadFaces(requestedFaces()));
+            }
+        },
+
+        // Files under asset/fonts/, listed in manifest.json; no third-party requests
+        self_hosted: {
+            preload() {
+                const seen = {};
+                localFaces().forEach(({ file }) => {
+                    if (seen[file.file]) return;
+                    seen[file.file] = true;
+                    const format = fontFormat(file.file);
+                    appendLink('preload', fontData.base + file.file, Object.assign({ as: 'font', crossOrigin: 'anonymous' }, format === 'woff2' ? { type: 'font/woff2' } : {}));
+                });
             },
-            fontinactive: function(familyName, fvd) {
-                console.warn('Font failed to load:', familyName, fvd);
+            load(cache) {
+                const matched = localFaces();
+                if (cache) {
+                    const seen = {};
+                    const declarations = [];
+                    matched.forEach(({ face, file }) => {
+                        if (seen[file.file]) return;
+                        seen[file.file] = true;
+                        declarations.push({
+                            family: face.family,
+                            url: new URL(fontData.base + file.file, window.location.href).href,
+                            descriptors: { weight: String(file.weight || 400), style: file.style || 'normal', display: 'swap' }
+                        });
+                    });
+                    return registerCachedFaces(cache, declarations, []).then(() => loadFaces(matched.map(m => m.face)));
+                }
+                if (!document.getElementById(FONT_CONFIG.styleId)) {
+                    const seen = {};
+                    const rules = [];
+                    matched.forEach(({ face, file }) => {
+                        if (seen[file.file]) return;
+                        seen[file.file] = true;
+                        const format = fontFormat(file.file);
+                        rules.push('@font-face {\n' +
+                            '    font-family: "' + face.family + '";\n' +
+                            '    src: url("' + fontData.base + file.file + '")' + (format ? ' format("' + format + '")' : '') + ';\n' +
+                            '    font-weight: ' + (file.weight || 400) + ';\n' +
+                            '    font-style: ' + (file.style || 'normal') + ';\n' +
+                            '    font-display: swap;\n' +
+                            '}');
+                    });
+                    const style = document.createElement('style');
+                    style.id = FONT_CONFIG.styleId;
+                    style.textContent = rules.join('\n');
+                    document.head.appendChild(style);
+                }
+                return loadFaces(matched.map(m => m.face));
             }
-        });
+        },
+
+        // System fonts only: nothing to fetch, the CSS stacks fall back to installed fonts
+        system: {
+            preload() {},
+            load() { return Promise.resolve(); }
+        }
+    };
+
+    function getProvider() {
+        return FontProviders[fontData.provider] || FontProviders.google;
     }
-    
+
     /**
-     * Load fonts using native Font Loading API
+     * Initialize font loading
+     *
+     * @param {Cache|null} [cache] Font cache from openFontCache()
      */
-    function loadFontsNatively() {
-        if (!('fonts' in document)) {
-            // Font Loading API not supported, assume fonts are loaded
-            setTimeout(onFontsLoaded, 100);
+    function initFontLoading(cache) {
+        // Add loading class
+        document.documentElement.classList.add(FontLoadingStates.LOADING);
+
+        // Only system fonts in use (or the system provider)
+        if (!requestedFaces().length) {
+            onFontsLoaded();
             return;
         }
-        
-        const fontPromises = [];
-        
-        // Create font face objects for critical fonts
-        const criticalFonts = [
-            new FontFace('Roboto', 'url(https://fonts.gstatic.com/s/roboto/v30/KFOmCnqEu92Fr1Mu4mxK.woff2)', {
-                weight: '400',
-                style: 'normal',
-                display: 'swap'
-            }),
-            new FontFace('Open Sans', 'url(https://fonts.gstatic.com/s/opensans/v34/memSYaGs126MiZpBA-UvWbX2vVnXBbObj2OVZyOOSr4dVJWUgsjZ0B4gaVc.woff2)', {
-                weight: '400',
-                style: 'normal',
-                display: 'swap'
-            }),
-            new FontFace('Merriweather', 'url(https://fonts.gstatic.com/s/merriweather/v30/u-440qyriQwlOrhSvowK_l5-fCZMdeX3rsHo.woff2)', {
-                weight: '400',
-                style: 'normal',
-                display: 'swap'
-            }),
-            new FontFace('Playfair Display', 'url(https://fonts.gstatic.com/s/playfairdisplay/v30/nuFvD-vYSZviVYUb_rj3ij__anPXJzDwcbmjWBN2PKdFvXDXbtXK-F2qO0isEw.woff2)', {
-                weight: '400',
-                style: 'normal',
-                display: 'swap'
-            })
-        ];
-        
-        // Load critical fonts
-        criticalFonts.forEach(font => {
-            document.fonts.add(font);
-            fontPromises.push(font.load());
-        });
-        
+
         // Set timeout for font loading
         const timeoutPromise = new Promise((resolve) => {
             setTimeout(() => resolve('timeout'), FONT_CONFIG.timeout);
         });
-        
+
         // Wait for fonts to load or timeout
         Promise.race([
-            Promise.all(fontPromises),
+            getProvider().load(cache || null),
             timeoutPromise
         ]).then((result) => {
-            if (result === 'timeout') {
-                onFontsFailed();
+            // Loaded means every face the page needs is there, not just that the requests ended
+            const report = reportFaces();
+            if (result === 'timeout' || report.inactive.length) {
+                onFontsFailed(report);
             } else {
-                onFontsLoaded();
+                onFontsLoaded(report);
             }
-        }).catch(() => {
+        }).catch((error) => {
+            log.warn(error);
             onFontsFailed();
         });
     }
+
+    /**
+     * Load fonts using Web Font Loader
+     */
+    function loadFontsWithWebFontLoader() {
+        // Web Font Loader syntax: 'Cormorant Garamond:400,600i'
+        const families = fontData.families.map(entry => {
+            return entry.family + ':' + entry.faces.map(face => face.weight + (face.style === 'italic' ? 'i' : '')).join(',');
+        });
+        return new Promise((resolve, reject) => {
+            WebFont.load({
+                google: {
+                    families: families
+                },
+                timeout: FONT_CONFIG.timeout,
+                active: resolve,
+                inactive: function() {
+                    reject(new Error('Web Font Loader: no fonts became active'));
+                },
+                fontactive: function(familyName, fvd) {
+                    log.debug('Font loaded:', familyName, fvd);
+                },
+                fontinactive: function(familyName, fvd) {
+                    log.warn('Font failed to load:', familyName, fvd);
+                }
+            });
+        });
+    }
     
     /**
      * Handle successful font loading
      */
-    function onFontsLoaded() {
+    function onFontsLoaded(report) {
+        report = report || reportFaces();
         document.documentElement.classList.remove(FontLoadingStates.LOADING);
         document.documentElement.classList.add(FontLoadingStates.LOADED);
-        
+
         // Trigger custom event
-        document.dispatchEvent(new CustomEvent('fontsLoaded'));
-        
-        console.log('Fonts loaded successfully');
+        document.dispatchEvent(new CustomEvent('fontsLoaded', { detail: report }));
+        reportLayoutShift();
+
+        log.info('Fonts active:', report.active.length ? report.active.join(', ') : '(none requested)');
+    }
+
+    /**
+     * Which requested faces the browser actually has now
+     *
+     * @returns {{requested: string[], active: string[], inactive: string[]}}
+     */
+    function reportFaces() {
+        const report = { requested: [], active: [], inactive: [] };
+        requestedFaces().forEach(face => {
+            const label = faceLabel(face);
+            report.requested.push(label);
+            // Without the Font Loading API there is no way to tell
+            const active = !('fonts' in document) || isFaceActive(face);
+            (active ? report.active : report.inactive).push(label);
+        });
+        return report;
+    }
+
+    // check() is also true when no @font-face matches at all, so look for a loaded FontFace
+    function isFaceActive(face) {
+        let found = false;
+        document.fonts.forEach(fontFace => {
+            if (found || fontFace.status !== 'loaded') return;
+            if (fontFace.family.replace(/["']/g, '') !== face.family) return;
+            if ((fontFace.style === 'italic') !== (face.style === 'italic')) return;
+            const range = String(fontFace.weight).split(/\s+/).map(Number);
+            const low = range[0], high = range.length > 1 ? range[1] : range[0];
+            if (face.weight >= low && face.weight <= high) found = true;
+        });
+        return found;
     }
     
     /**
      * Handle font loading failure
      */
-    function onFontsFailed() {
+    function onFontsFailed(report) {
+        report = report || reportFaces();
         document.documentElement.classList.remove(FontLoadingStates.LOADING);
         document.documentElement.classList.add(FontLoadingStates.FAILED);
         
         // Trigger custom event
-        document.dispatchEvent(new CustomEvent('fontsFailed'));
+        document.dispatchEvent(new CustomEvent('fontsFailed', { detail: report }));
+        reportLayoutShift();
         
-        console.warn('Font loading failed, using fallback fonts');
+        log.warn('Font loading failed, using fallback fonts for:', report.inactive.join(', ') || '(unknown)');
     }
     
     /**
-     * Preload critical fonts
+     * Preload what the provider will fetch for the faces in use
      */
-    function preloadCriticalFonts() {
-        const criticalFontUrls = [
-            'https://fonts.gstatic.com/s/roboto/v30/KFOmCnqEu92Fr1Mu4mxK.woff2',
-            'https://fonts.gstatic.com/s/opensans/v34/memSYaGs126MiZpBA-UvWbX2vVnXBbObj2OVZyOOSr4dVJWUgsjZ0B4gaVc.woff2',
-            'https://fonts.gstatic.com/s/merriweather/v30/u-440qyriQwlOrhSvowK_l5-fCZMdeX3rsHo.woff2',
-            'https://fonts.gstatic.com/s/playfairdisplay/v30/nuFvD-vYSZviVYUb_rj3ij__anPXJzDwcbmjWBN2PKdFvXDXbtXK-F2qO0isEw.woff2'
-        ];
-        
-        criticalFontUrls.forEach(url => {
-            const link = document.createElement('link');
-            link.rel = 'preload';
-            link.as = 'font';
-            link.type = 'font/woff2';
-            link.crossOrigin = 'anonymous';
-            link.href = url;
-            document.head.appendChild(link);
-        });
+    function preloadFonts() {
+        if (!requestedFaces().length) return;
+        getProvider().preload();
     }
     
     /**
-     * Check if fonts are already cached
+     * Load from the font cache when there is one; otherwise preload and fetch as usual
      */
-    function checkFontCache() {
-        if ('caches' in window) {
-            caches.open('font-cache-v1').then(cache => {
-                return cache.keys();
-            }).then(keys => {
-                if (keys.length > 0) {
-                    console.log('Fonts found in cache');
-                    onFontsLoaded();
-                } else {
-                    initFontLoading();
-                }
-            }).catch(() => {
-                initFontLoading();
-            });
-        } else {
-            initFontLoading();
-        }
+    function start() {
+        openFontCache().then(cache => {
+            if (cache) {
+                log.debug('Using font cache for', fontData.provider);
+            } else {
+                preloadFonts();
+            }
+            initFontLoading(cache);
+        });
     }
     
     /**
@@ -224,23 +633,31 @@
      */
     function init() {
         if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', function() {
-                preloadCriticalFonts();
-                checkFontCache();
-            });
+            document.addEventListener('DOMContentLoaded', start);
         } else {
-            preloadCriticalFonts();
-            checkFontCache();
+            start();
         }
     }
     
     // Start initialization
+    injectFallbackFaces();
+    observeLayoutShift();
     init();
     
     // Expose API for manual control
     window.FontLoader = {
         init: initFontLoading,
-        preload: preloadCriticalFonts,
+        preload: preloadFonts,
+        report: reportFaces,
+        layoutShift: getLayoutShift,
+        // Drop this site's cached font files (the next page view fetches them again)
+        clearCache: function() {
+            if (!('caches' in window)) return Promise.resolve();
+            return caches.keys().then(keys => Promise.all(keys.filter(key => key.indexOf(siteCachePrefix()) === 0).map(key => caches.delete(key))));
+        },
+        families: fontData.families,
+        provider: fontData.provider,
+        providers: FontProviders,
         states: FontLoadingStates
     };
     
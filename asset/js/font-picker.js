@@ -0,0 +1,423 @@
+// Font picker for the *_font_family selects on the admin theme settings page.
+// Each select gets a searchable list that shows every option in its own typeface with sample
+// text, a serif/sans/display/mono filter and the weights the family has. Heading fields also
+// suggest body fonts that pair well. The select stays in the form (hidden) and holds the value.
+(function(){
+  'use strict';
+
+  const log = window.LibraryThemeLog.create('admin');
+
+  const PICKER_SELECTOR = 'select[name$="_font_family"]';
+  const HEADING_FIELDS = ['h1_font_family', 'h2_font_family', 'h3_font_family', 'page_title_font_family'];
+  const SAMPLE_TEXT = 'The quick brown fox jumps over the lazy dog';
+  const CATEGORIES = [
+    { key: '', label: 'All' },
+    { key: 'serif', label: 'Serif' },
+    { key: 'sans', label: 'Sans' },
+    { key: 'display', label: 'Display' },
+    { key: 'mono', label: 'Mono' }
+  ];
+
+  // Font key => { category, stack, web, weights, italic } from asset/fonts/families.json,
+  // loaded through enhanced-preset-system.js
+  let FONTS = {};
+
+  // Heading font => body fonts that read well under it, best first
+  const PAIRINGS = {
+    playfair: ['lato', 'open_sans', 'helvetica', 'georgia'],
+    cormorant: ['lato', 'open_sans', 'helvetica', 'georgia'],
+    cormorant_sc: ['cormorant', 'lato', 'georgia'],
+    cormorant_infant: ['lato', 'open_sans', 'helvetica'],
+    merriweather: ['open_sans', 'lato', 'helvetica'],
+    crimson: ['helvetica', 'lato', 'open_sans'],
+    georgia: ['helvetica', 'arial', 'verdana'],
+    times: ['helvetica', 'arial'],
+    oswald: ['merriweather', 'lato', 'georgia', 'open_sans'],
+    raleway: ['merriweather', 'georgia', 'lato'],
+    bebas_neue: ['open_sans', 'roboto', 'merriweather'],
+    anton: ['roboto', 'open_sans', 'georgia'],
+    helvetica: ['georgia', 'merriweather', 'crimson'],
+    roboto: ['merriweather', 'georgia', 'roboto'],
+    open_sans: ['merriweather', 'georgia', 'open_sans'],
+    lato: ['merriweather', 'georgia', 'lato'],
+    arial: ['georgia', 'times'],
+    system: ['georgia', 'merriweather']
+  };
+
+  const pickers = [];
+  let openPicker = null;
+  let specimensRequested = false;
+  let uid = 0;
+
+  function fontInfo(key){
+    return FONTS[key] || { category: 'sans', stack: 'inherit', weights: [400], italic: false };
+  }
+
+  function findSelect(name){
+    return document.querySelector(`select[name="${name}"]`) || document.querySelector(`select[name$="[${name}]"]`);
+  }
+
+  function fieldName(select){
+    const m = select.name.match(/([a-z0-9_]+)\]?$/);
+    return m ? m[1] : select.name;
+  }
+
+  function optionLabel(select, value){
+    const option = Array.from(select.options).find((o)=> o.value === value);
+    return option ? option.textContent.trim() : value;
+  }
+
+  function describeWeights(info){
+    return `Weights ${info.weights.join(', ')}${info.italic ? ' · italics' : ''}`;
+  }
+
+  // Specimens need the web fonts themselves. One css2 request covers every web font the
+  // selects offer, in regular weight and subset to the characters shown. It is skipped when
+  // the Font Provider setting keeps the site off Google Fonts.
+  function loadSpecimenFonts(){
+    if (specimensRequested) return;
+    const provider = findSelect('font_provider');
+    if (provider && provider.value && provider.value !== 'google') {
+      pickers.forEach((picker)=>{ picker.note.hidden = false; });
+      return;
+    }
+    specimensRequested = true;
+    pickers.forEach((picker)=>{ picker.note.hidden = true; });
+    const families = {};
+    const chars = {};
+    pickers.forEach((picker)=>{
+      Array.from(picker.select.options).forEach((option)=>{
+        const info = FONTS[option.value];
+        if (!info || !info.web) return;
+        families[info.web] = true;
+        (option.textContent + SAMPLE_TEXT).split('').forEach((c)=>{ chars[c] = true; });
+      });
+    });
+    const names = Object.keys(families);
+    if (!names.length) return;
+    const link = document.createElement('link');
+    link.rel = 'stylesheet';
+    link.href = 'https://fonts.googleapis.com/css2?' + names.map((name)=> 'family=' + encodeURIComponent(name).replace(/%20/g, '+')).join('&') +
+      '&text=' + encodeURIComponent(Object.keys(chars).sort().join('')) + '&display=swap';
+    link.dataset.fontPicker = '1';
+    document.head.appendChild(link);
+    log.debug('Font picker: specimen fonts requested for', names.join(', '));
+  }
+
+  function closeOpenPicker(restoreFocus){
+    if (!openPicker) return;
+    const picker = openPicker;
+    openPicker = null;
+    picker.panel.hidden = true;
+    picker.trigger.setAttribute('aria-expanded', 'false');
+    if (restoreFocus) picker.trigger.focus();
+  }
+
+  function initFontPicker(select){
+    if (!select || select.dataset.fontPickerAttached) return;
+    select.dataset.fontPickerAttached = '1';
+    const id = `font-picker-${++uid}`;
+    const name = fieldName(select);
+    let category = '';
+    let activeIndex = -1;
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'font-picker';
+
+    // Shows the chosen font in its own face; the select it replaces keeps the label
+    const trigger = document.createElement('button');
+    trigger.type = 'button';
+    trigger.className = 'font-picker__trigger';
+    trigger.setAttribute('aria-haspopup', 'listbox');
+    trigger.setAttribute('aria-expanded', 'false');
+    trigger.setAttribute('aria-controls', `${id}-panel`);
+    if (select.id) {
+      const label = document.querySelector(`label[for="${select.id}"]`);
+      if (label) {
+        if (!label.id) label.id = `${id}-label`;
+        trigger.setAttribute('aria-labelledby', `${label.id} ${id}-trigger`);
+      }
+    }
+    trigger.id = `${id}-trigger`;
+
+    const panel = document.createElement('div');
+    panel.className = 'font-picker__panel';
+    panel.id = `${id}-panel`;
+    panel.hidden = true;
+
+    const search = document.createElement('input');
+    search.type = 'search';
+    search.className = 'font-picker__search';
+    search.placeholder = 'Search fonts';
+    search.setAttribute('aria-label', 'Search fonts');
+    search.setAttribute('role', 'combobox');
+    search.setAttribute('aria-expanded', 'true');
+    search.setAttribute('aria-controls', `${id}-list`);
+    search.setAttribute('aria-autocomplete', 'list');
+
+    const filters = document.createElement('div');
+    filters.className = 'font-picker__filters';
+    filters.setAttribute('role', 'group');
+    filters.setAttribute('aria-label', 'Font category');
+    const filterButtons = CATEGORIES.map((c)=>{
+      const b = document.createElement('button');
+      b.type = 'button';
+      b.className = 'font-picker__filter';
+      b.textContent = c.label;
+      b.setAttribute('aria-pressed', c.key === category ? 'true' : 'false');
+      b.addEventListener('click', ()=>{
+        category = c.key;
+        filterButtons.forEach((other, i)=> other.setAttribute('aria-pressed', CATEGORIES[i].key === category ? 'true' : 'false'));
+        renderList();
+        search.focus();
+      });
+      filters.appendChild(b);
+      return b;
+    });
+
+    const list = document.createElement('ul');
+    list.className = 'font-picker__list';
+    list.id = `${id}-list`;
+    list.setAttribute('role', 'listbox');
+
+    const empty = document.createElement('p');
+    empty.className = 'font-picker__empty';
+    empty.textContent = 'No font matches';
+    empty.hidden = true;
+
+    const note = document.createElement('p');
+    note.className = 'font-picker__note';
+    note.textContent = 'Specimens use the fonts installed on this computer: the Font Provider setting does not load Google Fonts here.';
+    note.hidden = true;
+
+    panel.appendChild(search);
+    panel.appendChild(filters);
+    panel.appendChild(list);
+    panel.appendChild(empty);
+    panel.appendChild(note);
+
+    // Heading fields: body fonts that pair with the chosen heading font
+    const pairing = document.createElement('div');
+    pairing.className = 'font-picker__pairing';
+
+    function renderTrigger(){
+      const info = fontInfo(select.value);
+      trigger.textContent = '';
+      const nameEl = document.createElement('span');
+      nameEl.className = 'font-picker__name';
+      nameEl.style.fontFamily = info.stack;
+      nameEl.textContent = optionLabel(select, select.value) || 'Choose a font';
+      const meta = document.createElement('span');
+      meta.className = 'font-picker__meta';
+      meta.textContent = describeWeights(info);
+      trigger.appendChild(nameEl);
+      trigger.appendChild(meta);
+    }
+
+    function renderPairing(){
+      pairing.textContent = '';
+      if (HEADING_FIELDS.indexOf(name) === -1) return;
+      const body = findSelect('body_font_family');
+      if (!body) return;
+      const suggestions = (PAIRINGS[select.value] || []).filter((key)=> Array.from(body.options).some((o)=> o.value === key));
+      if (!suggestions.length) return;
+      const label = document.createElement('span');
+      label.className = 'font-picker__pairing-label';
+      label.textContent = 'Pairs with body:';
+      pairing.appendChild(label);
+      suggestions.forEach((key)=>{
+        const b = document.createElement('button');
+        b.type = 'button';
+        b.className = 'font-picker__pairing-btn';
+        b.style.fontFamily = fontInfo(key).stack;
+        b.textContent = optionLabel(body, key);
+        b.title = `Use ${b.textContent} for body text`;
+        b.setAttribute('aria-pressed', body.value === key ? 'true' : 'false');
+        b.addEventListener('click', ()=> choose(body, key));
+        pairing.appendChild(b);
+      });
+    }
+
+    function visibleOptions(){
+      const query = search.value.trim().toLowerCase();
+      return Array.from(select.options).filter((option)=>{
+        const info = fontInfo(option.value);
+        if (category && info.category !== category) return false;
+        if (!query) return true;
+        return (option.textContent + ' ' + option.value + ' ' + info.category).toLowerCase().indexOf(query) !== -1;
+      });
+    }
+
+    function setActive(index){
+      const items = list.querySelectorAll('[role="option"]');
+      if (!items.length) {
+        activeIndex = -1;
+        search.removeAttribute('aria-activedescendant');
+        return;
+      }
+      activeIndex = Math.max(0, Math.min(items.length - 1, index));
+      items.forEach((item, i)=> item.classList.toggle('is-active', i === activeIndex));
+      search.setAttribute('aria-activedescendant', items[activeIndex].id);
+      items[activeIndex].scrollIntoView && items[activeIndex].scrollIntoView({ block: 'nearest' });
+    }
+
+    function renderList(){
+      list.textContent = '';
+      const options = visibleOptions();
+      options.forEach((option, i)=>{
+        const info = fontInfo(option.value);
+        const item = document.createElement('li');
+        item.id = `${id}-option-${i}`;
+        item.className = 'font-picker__option';
+        item.setAttribute('role', 'option');
+        item.setAttribute('aria-selected', option.value === select.value ? 'true' : 'false');
+        item.dataset.value = option.value;
+        const nameEl = document.createElement('span');
+        nameEl.className = 'font-picker__name';
+        nameEl.style.fontFamily = info.stack;
+        nameEl.textContent = option.textContent.trim();
+        const sample = document.createElement('span');
+        sample.className = 'font-picker__sample';
+        sample.style.fontFamily = info.stack;
+        sample.textContent = SAMPLE_TEXT;
+        sample.setAttribute('aria-hidden', 'true');
+        const meta = document.createElement('span');
+        meta.className = 'font-picker__meta';
+        meta.textContent = `${CATEGORIES.find((c)=> c.key === info.category).label} · ${describeWeights(info)}`;
+        item.appendChild(nameEl);
+        item.appendChild(sample);
+        item.appendChild(meta);
+        // mousedown keeps focus in the search box
+        item.addEventListener('mousedown', (e)=> e.preventDefault());
+        item.addEventListener('click', ()=>{
+          choose(select, option.value);
+          closeOpenPicker(true);
+        });
+        list.appendChild(item);
+      });
+      empty.hidden = options.length > 0;
+      const selected = options.findIndex((o)=> o.value === select.value);
+      setActive(selected === -1 ? 0 : selected);
+    }
+
+    function open(){
+      if (openPicker && openPicker !== picker) closeOpenPicker(false);
+      openPicker = picker;
+      loadSpecimenFonts();
+      panel.hidden = false;
+      trigger.setAttribute('aria-expanded', 'true');
+      search.value = '';
+      renderList();
+      search.focus();
+    }
+
+    trigger.addEventListener('click', ()=>{
+      if (openPicker === picker) closeOpenPicker(true);
+      else open();
+    });
+    trigger.addEventListener('keydown', (e)=>{
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        open();
+      }
+    });
+
+    search.addEventListener('input', renderList);
+    search.addEventListener('keydown', (e)=>{
+      const items = list.querySelectorAll('[role="option"]');
+      if (e.key === 'ArrowDown') {
+        e.preventDefault();
+        setActive(activeIndex + 1);
+      } else if (e.key === 'ArrowUp') {
+        e.preventDefault();
+        setActive(activeIndex - 1);
+      } else if (e.key === 'Home' && !search.value) {
+        e.preventDefault();
+        setActive(0);
+      } else if (e.key === 'End' && !search.value) {
+        e.preventDefault();
+        setActive(items.length - 1);
+      } else if (e.key === 'Enter') {
+        // Never submit the settings form from here
+        e.preventDefault();
+        if (items[activeIndex]) {
+          choose(select, items[activeIndex].dataset.value);
+          closeOpenPicker(true);
+        }
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        closeOpenPicker(true);
+      } else if (e.key === 'Tab') {
+        closeOpenPicker(false);
+      }
+    });
+
+    // Presets, undo/redo and the other pickers' pairing buttons change the select directly
+    select.addEventListener('change', ()=>{
+      renderTrigger();
+      renderPairing();
+      if (openPicker === picker) renderList();
+    });
+
+    const picker = { select, name, trigger, panel, note, renderPairing };
+    pickers.push(picker);
+
+    select.classList.add('font-picker__native');
+    select.setAttribute('tabindex', '-1');
+    select.setAttribute('aria-hidden', 'true');
+    select.parentNode.insertBefore(wrapper, select);
+    wrapper.appendChild(trigger);
+    wrapper.appendChild(panel);
+    wrapper.appendChild(pairing);
+    wrapper.appendChild(select);
+    renderTrigger();
+    renderPairing();
+  }
+
+  /**
+   * Set a font select the way a manual edit would (history, live preview and the other
+   * pickers listen for the events)
+   */
+  function choose(select, value){
+    if (select.value === value) return;
+    select.value = value;
+    select.dispatchEvent(new Event('input', { bubbles: true }));
+    select.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  function enhanceAll(){
+    // Limit to admin page context only
+    if (!location.pathname.includes('/admin')) return;
+    if (!window.EnhancedPresetSystem) {
+      log.warn('Font picker: enhanced-preset-system.js is required for the font list');
+      return;
+    }
+    window.EnhancedPresetSystem.loadFontFamilies().then((families)=>{
+      FONTS = families;
+      document.querySelectorAll(PICKER_SELECTOR).forEach(initFontPicker);
+      // The chosen fonts show in their own face right away, not just once a list is opened
+      if (pickers.length) loadSpecimenFonts();
+    });
+  }
+
+  document.addEventListener('change', (e)=>{
+    if (!e.target || !e.target.matches || !pickers.length) return;
+    // Pairing suggestions mark the body font in use
+    if (e.target.matches(PICKER_SELECTOR) && fieldName(e.target) === 'body_font_family') pickers.forEach((picker)=> picker.renderPairing());
+    // Switching the provider to Google Fonts makes the specimens available
+    if (e.target.tagName === 'SELECT' && fieldName(e.target) === 'font_provider') loadSpecimenFonts();
+  });
+  document.addEventListener('mousedown', (e)=>{
+    if (openPicker && !openPicker.trigger.parentNode.contains(e.target)) closeOpenPicker(false);
+  });
+
+  window.LibraryFontPicker = {
+    init: initFontPicker,
+    enhanceAll,
+    fonts: ()=> FONTS,
+    PAIRINGS
+  };
+
+  document.addEventListener('DOMContentLoaded', enhanceAll);
+  document.addEventListener('omeka:form-updated', enhanceAll);
+})();
@@ -2,11 +2,19 @@
  * Library Theme Menu Functionality
  * Handles the hamburger menu for top-level pages
  * Enhanced with memory management and performance optimizations
+ *
+ * Nested pages: a list item whose .top-level-page-link is followed by a <ul> of child pages
+ * gets a disclosure button, and the <ul> becomes a submenu that opens and closes with it:
+ *
+ *   <li><a class="top-level-page-link">About</a>
+ *       <ul><li><a class="top-level-page-link">Staff</a> ...</li></ul></li>
  */
 
 (function($) {
     'use strict';
 
+    const log = window.LibraryThemeLog.create('menu');
+
     // Performance and memory management utilities
     const PerformanceManager = {
         // Cache for computed styles to avoid repeated calculations
@@ -69,6 +77,13 @@
         }
     };
 
+    const MENU = {
+        dropdown: '.top-level-menu-dropdown',
+        link: '.top-level-page-link',
+        toggle: '.top-level-submenu-toggle',
+        submenu: '.top-level-submenu'
+    };
+
     // State management
     const State = {
         initialized: false,
@@ -83,7 +98,7 @@
         if (State.initialized) return;
         State.initialized = true;
 
-        console.log('Library Theme loading...');
+        log.debug('Library Theme loading...');
         
         // Initialize all components
         if (typeof window.initHamburgerMenu === 'function') {
@@ -93,7 +108,7 @@
         // Setup cleanup on page unload
         $(window).on('beforeunload', cleanup);
         
-        console.log('Library Theme ready');
+        log.debug('Library Theme ready');
     });
 
     function initializeComponents() {
@@ -103,10 +118,109 @@
             if (typeof window.initHamburgerMenu === 'function') {
                 window.initHamburgerMenu();
             }
+            setupSubmenus();
             setupEventListeners();
         } catch (error) {
-            console.error('Error initializing components:', error);
+            log.error('Error initializing components:', error);
+        }
+    }
+
+    let submenuCount = 0;
+
+    /**
+     * Turn nested lists in the dropdown into collapsed submenus with a disclosure button
+     */
+    function setupSubmenus() {
+        $(MENU.dropdown).find('li').each(function() {
+            const $item = $(this);
+            const $submenu = $item.children('ul').first();
+            if (!$submenu.length || $item.children(MENU.toggle).length) return;
+
+            const id = $submenu.attr('id') || 'top-level-submenu-' + (++submenuCount);
+            $submenu.attr('id', id).addClass('top-level-submenu').prop('hidden', true);
+
+            const $link = $item.children(MENU.link).first();
+            const label = $.trim($link.text()) || $.trim($item.contents().first().text());
+            const $toggle = $('<button type="button" class="top-level-submenu-toggle" aria-expanded="false"></button>')
+                .attr({ 'aria-controls': id, 'aria-label': label ? 'Pages under ' + label : 'Subpages' })
+                .append('<span class="top-level-submenu-icon" aria-hidden="true"></span>');
+            if ($link.length) {
+                $link.after($toggle);
+            } else {
+                $submenu.before($toggle);
+            }
+            $item.addClass('has-submenu');
+        });
+    }
+
+    // The submenu a link or disclosure button opens (empty for leaf pages)
+    function submenuOf($el) {
+        return $el.closest('li').children(MENU.submenu);
+    }
+
+    function toggleFor($submenu) {
+        return $submenu.siblings(MENU.toggle);
+    }
+
+    // The page link of the row a link or disclosure button belongs to
+    function rowLink($el) {
+        return $el.is(MENU.link) ? $el : $el.closest('li').children(MENU.link).first();
+    }
+
+    // Back to a row: its page link, or the disclosure button when it has none
+    function focusRow($toggle) {
+        const $link = rowLink($toggle);
+        ($link.length ? $link : $toggle).focus();
+    }
+
+    // Page links on the same level as $link
+    function levelLinks($link) {
+        const $level = $link.closest(MENU.submenu + ', ' + MENU.dropdown);
+        return $level.find(MENU.link).filter(function() {
+            return $(this).closest(MENU.submenu + ', ' + MENU.dropdown)[0] === $level[0];
+        });
+    }
+
+    // Links and disclosure buttons that are not inside a collapsed submenu
+    function visibleMenuItems() {
+        return $(MENU.dropdown).find(MENU.link + ', ' + MENU.toggle).filter(function() {
+            return !$(this).closest(MENU.submenu + '[hidden]').length;
+        });
+    }
+
+    function openSubmenu($submenu) {
+        $submenu.prop('hidden', false).closest('li').addClass('is-open');
+        toggleFor($submenu).attr('aria-expanded', 'true');
+    }
+
+    // Closes the levels below it too
+    function closeSubmenu($submenu) {
+        $submenu.find(MENU.submenu).addBack().each(function() {
+            const $each = $(this);
+            $each.prop('hidden', true).closest('li').removeClass('is-open');
+            toggleFor($each).attr('aria-expanded', 'false');
+        });
+    }
+
+    /**
+     * Escape closes one level at a time: the submenu of the focused row, then the submenu
+     * focus is in. Returns false when no submenu was open, so the menu itself should close.
+     */
+    function closeInnermostSubmenu() {
+        const $active = $(document.activeElement);
+        if (!$active.closest(MENU.dropdown).length) return false;
+        const $own = submenuOf($active).not('[hidden]');
+        if ($own.length) {
+            closeSubmenu($own);
+            return true;
         }
+        const $parent = $active.closest(MENU.submenu);
+        if ($parent.length) {
+            closeSubmenu($parent);
+            focusRow(toggleFor($parent));
+            return true;
+        }
+        return false;
     }
 
     // Setup event listeners with proper cleanup
@@ -130,10 +244,11 @@
             //     }
             // };
             
-            // Keyboard navigation in menu
+            // Keyboard navigation in menu: up/down within a level, right/left into and out of submenus
             const keyboardNavHandler = function(e) {
-                const $links = $('.top-level-page-link');
-                const currentIndex = $links.index(this);
+                const $current = $(this);
+                const $links = levelLinks(rowLink($current));
+                const currentIndex = $links.index(rowLink($current));
                 
                 switch(e.key) {
                     case 'ArrowDown': {
@@ -161,6 +276,34 @@
                         $links.last().focus();
                         break;
                     }
+
+                    case 'ArrowRight': {
+                        const $submenu = submenuOf($current);
+                        if (!$submenu.length) break;
+                        e.preventDefault();
+                        openSubmenu($submenu);
+                        $submenu.find(MENU.link).first().focus();
+                        break;
+                    }
+
+                    case 'ArrowLeft': {
+                        const $parent = $current.closest(MENU.submenu);
+                        if (!$parent.length) break;
+                        e.preventDefault();
+                        closeSubmenu($parent);
+                        focusRow(toggleFor($parent));
+                        break;
+                    }
+                }
+            };
+
+            const submenuToggleHandler = function(e) {
+                e.preventDefault();
+                const $submenu = submenuOf($(this));
+                if ($submenu.prop('hidden')) {
+                    openSubmenu($submenu);
+                } else {
+                    closeSubmenu($submenu);
                 }
             };
             
@@ -172,7 +315,7 @@
                 .on('keydown.libraryTheme', function(e){
                     // Focus trap while menu is open
                     if (State.isMenuOpen && (e.key === 'Tab')) {
-                        const $links = $('.top-level-menu-dropdown .top-level-page-link');
+                        const $links = visibleMenuItems();
                         if (!$links.length) return;
                         const first = $links[0];
                         const last = $links[$links.length - 1];
@@ -182,14 +325,22 @@
                             e.preventDefault(); first.focus();
                         }
                     }
-                    // ESC closes
-                    if (e.key === 'Escape') closeHamburgerMenu();
+                    // ESC closes the innermost open submenu, then the menu
+                    if (e.key === 'Escape') {
+                        if (State.isMenuOpen && closeInnermostSubmenu()) {
+                            e.preventDefault();
+                            return;
+                        }
+                        closeHamburgerMenu();
+                    }
                 })
-                .off('keydown.libraryTheme', '.top-level-page-link')
-                .on('keydown.libraryTheme', '.top-level-page-link', keyboardNavHandler);
+                .off('keydown.libraryTheme', MENU.link + ', ' + MENU.toggle)
+                .on('keydown.libraryTheme', MENU.link + ', ' + MENU.toggle, keyboardNavHandler)
+                .off('click.libraryTheme', MENU.toggle)
+                .on('click.libraryTheme', MENU.toggle, submenuToggleHandler);
             
         } catch (error) {
-            console.error('Error setting up event listeners:', error);
+            log.error('Error setting up event listeners:', error);
         }
     }
 
@@ -214,7 +365,7 @@
                 }
             });
         } catch (error) {
-            console.error('Error initializing hamburger menu:', error);
+            log.error('Error initializing hamburger menu:', error);
         }
     };
 
@@ -230,15 +381,21 @@
 
             $dropdown.addClass('show');
             $('.hamburger-menu-btn').attr('aria-expanded', 'true');
-            $dropdown.attr({ role: 'menu', 'aria-hidden': 'false' });
+            // Not role="menu": the submenus use disclosure buttons, which a menu cannot contain
+            $dropdown.attr('aria-hidden', 'false');
+
+            // Show where the current page is: open the submenus above it
+            $dropdown.find('.active, [aria-current="page"]').parents(MENU.submenu).each(function() {
+                openSubmenu($(this));
+            });
 
             // Focus first menu item for accessibility
             setTimeout(function() {
-                const $first = $('.top-level-page-link:first');
+                const $first = $dropdown.find(MENU.link).first();
                 if ($first.length) $first.focus();
             }, 50);
         } catch (error) {
-            console.error('Error opening hamburger menu:', error);
+            log.error('Error opening hamburger menu:', error);
         }
     }
 
@@ -251,6 +408,7 @@
             if (!$dropdown.length) return;
             $dropdown.removeClass('show').attr('aria-hidden', 'true');
             $('.hamburger-menu-btn').attr('aria-expanded', 'false');
+            closeSubmenu($dropdown.find(MENU.submenu));
 
             // Restore focus to trigger, if we had it
             if (State.prevFocus && typeof State.prevFocus.focus === 'function') {
@@ -259,7 +417,7 @@
             State.isMenuOpen = false;
             State.prevFocus = null;
         } catch (error) {
-            console.error('Error closing hamburger menu:', error);
+            log.error('Error closing hamburger menu:', error);
         }
     }
 
@@ -285,9 +443,9 @@
                 State[key] = false;
             });
             
-            console.log('Library Theme cleanup completed');
+            log.debug('Library Theme cleanup completed');
         } catch (error) {
-            console.error('Error during cleanup:', error);
+            log.error('Error during cleanup:', error);
         }
     }
 
@@ -4,8 +4,8 @@
     // Safe guards against duplicate execution
     if (window.__libraryMenuV2Loaded) return; window.__libraryMenuV2Loaded = true;
 
-    // Version banner so we can see this file is live
-    try{ console.log('[library-menu.v2] LIVE at', new Date().toISOString()); }catch(e){}
+    const log = window.LibraryThemeLog.create('menu');
+    log.debug('[library-menu.v2] loaded at', new Date().toISOString());
 
     // Click behavior moved from logo to tagline; ensure logo is not hijacked by JS
     (function disableLogoClick(){
@@ -14,9 +14,9 @@
         if(logo){
           logo.onclick = null;
           logo.style.pointerEvents = 'none';
-          console.log('[library-menu.v2] logo click disabled');
+          log.debug('[library-menu.v2] logo click disabled');
         }
-      }catch(e){ console.warn('[library-menu.v2] disableLogoClick warn:', e); }
+      }catch(e){ log.warn('[library-menu.v2] disableLogoClick warn:', e); }
     })();
 
     function applyLinkStyling(){
@@ -102,8 +102,8 @@
           // Mark this link as styled to prevent re-processing
           link.dataset.styled = 'true';
         });
-        console.log(`[library-menu.v2] Styled ${contentFixed} content links and ${paginationFixed} pagination buttons (${skipped} already styled)`);
-      }catch(e){ console.error('[library-menu.v2] applyLinkStyling error:', e); }
+        log.debug(`[library-menu.v2] Styled ${contentFixed} content links and ${paginationFixed} pagination buttons (${skipped} already styled)`);
+      }catch(e){ log.error('[library-menu.v2] applyLinkStyling error:', e); }
     }
 
     // Run styling once DOM is ready and again after a short delay
@@ -0,0 +1,328 @@
+(function(){
+  'use strict';
+  // Runtime override detector: loaded by layout.phtml with ?debug=overrides, prepended to the
+  // scripts echoed at the end of <body>. It runs after the head scripts (theme-logger.js,
+  // font-loader.js) but ahead of the other body scripts and their DOMContentLoaded fixes.
+  // Records every style attribute change and every <style>/<link> added after load, works out
+  // which script made it, and compares the value with what the theme setting would give
+  // (style-inspector.js does the cascade work). Conflicts are listed in a panel and logged.
+  try {
+    const dbg = new URLSearchParams(window.location.search).get('debug') || '';
+    if (!/(?:^|,)overrides(?::|,|$)/i.test(dbg)) return;
+  } catch (e) { return; }
+  if (window.LibraryOverrideDetector) return;
+
+  // Conflicts go to the diagnostic report under 'overrides'
+  const log = window.LibraryThemeLog.create('overrides');
+
+  const UI_ATTR = 'data-override-detector';
+  const OWN_SCRIPT = document.currentScript ? document.currentScript.src.split('?')[0] : '';
+  // Frames to look past when naming the script responsible: jQuery's .css() and the like
+  const LIBRARY_FRAMES = /jquery|\/vendor\//i;
+  const MAX_ELEMENTS_PER_RULE = 25;
+
+  // --- Who made the change -------------------------------------------------
+  // MutationObserver says what changed but not who; the style APIs are wrapped to remember
+  // the calling script per element (or per <style>/<link> node) until the observer reports it.
+
+  const writers = new WeakMap();
+  const declarationOwners = new WeakMap();
+  let quiet = false;
+
+  function callerScript(){
+    const page = window.location.href.split(/[?#]/)[0];
+    const lines = (new Error().stack || '').split('\n');
+    for (const line of lines) {
+      const m = line.match(/((?:https?|file):\/\/[^\s)]+?):(\d+):\d+/);
+      if (!m) continue;
+      const url = m[1].split('?')[0];
+      if (url === OWN_SCRIPT || LIBRARY_FRAMES.test(url)) continue;
+      return (url === page ? 'inline script in the page' : url.split('/').pop()) + ':' + m[2];
+    }
+    return 'unknown script';
+  }
+
+  function mark(target){
+    if (!quiet && target) writers.set(target, callerScript());
+  }
+
+  function wrapMethod(proto, name, before){
+    const original = proto && proto[name];
+    if (typeof original !== 'function') return;
+    proto[name] = function(){
+      before(this, arguments);
+      return original.apply(this, arguments);
+    };
+  }
+
+  function wrapAccessor(proto, name, onGet, onSet){
+    const d = proto && Object.getOwnPropertyDescriptor(proto, name);
+    if (!d || !d.configurable) return;
+    Object.defineProperty(proto, name, {
+      configurable: true,
+      enumerable: d.enumerable,
+      get: d.get && function(){ const value = d.get.call(this); if (onGet) onGet(this, value); return value; },
+      set: d.set && function(value){ if (onSet) onSet(this); d.set.call(this, value); }
+    });
+  }
+
+  [window.HTMLElement && HTMLElement.prototype, window.SVGElement && SVGElement.prototype].forEach(proto => {
+    wrapAccessor(proto, 'style', (el, decl) => declarationOwners.set(decl, el), el => mark(el));
+  });
+  const declProto = window.CSSStyleDeclaration && CSSStyleDeclaration.prototype;
+  wrapMethod(declProto, 'setProperty', decl => mark(declarationOwners.get(decl)));
+  wrapMethod(declProto, 'removeProperty', decl => mark(declarationOwners.get(decl)));
+  wrapAccessor(declProto, 'cssText', null, decl => mark(declarationOwners.get(decl)));
+  wrapMethod(Element.prototype, 'setAttribute', (el, args) => {
+    if (String(args[0]).toLowerCase() === 'style') mark(el);
+  });
+  ['appendChild', 'insertBefore'].forEach(name => wrapMethod(Node.prototype, name, (parent, args) => {
+    const node = args[0];
+    if (node && (node.tagName === 'STYLE' || node.tagName === 'LINK')) mark(node);
+    else if (parent && parent.tagName === 'STYLE') mark(parent);
+  }));
+
+  // --- What changed --------------------------------------------------------
+
+  const pending = [];
+  const scratch = document.createElement('div');
+
+  function parseStyle(text){
+    quiet = true;
+    scratch.setAttribute('style', text || '');
+    quiet = false;
+    const out = {};
+    for (let i = 0; i < scratch.style.length; i++) {
+      const name = scratch.style[i];
+      out[name] = { value: scratch.style.getPropertyValue(name).trim(), important: scratch.style.getPropertyPriority(name) === 'important' };
+    }
+    return out;
+  }
+
+  function isOwnUi(node){
+    return !!(node && node.closest && node.closest('[' + UI_ATTR + '], [data-style-inspector]'));
+  }
+
+  const observer = new MutationObserver(function(mutations){
+    mutations.forEach(m => {
+      if (m.type === 'attributes') {
+        if (isOwnUi(m.target)) return;
+        const before = parseStyle(m.oldValue);
+        const after = parseStyle(m.target.getAttribute('style'));
+        const changes = Object.keys(after).filter(name => {
+          return !before[name] || before[name].value !== after[name].value || before[name].important !== after[name].important;
+        }).map(name => Object.assign({ property: name }, after[name]));
+        if (changes.length) pending.push({ kind: 'inline', target: m.target, script: writers.get(m.target) || 'unknown script', changes });
+        return;
+      }
+      if (m.target.tagName === 'STYLE' && !isOwnUi(m.target)) {
+        pending.push({ kind: 'sheet', target: m.target, script: writers.get(m.target) || 'unknown script' });
+      }
+      m.addedNodes.forEach(node => {
+        if (isOwnUi(node)) return;
+        const isSheet = node.tagName === 'STYLE' || (node.tagName === 'LINK' && /stylesheet/i.test(node.rel));
+        if (!isSheet) return;
+        const entry = { kind: 'sheet', target: node, script: writers.get(node) || 'unknown script' };
+        if (node.tagName === 'LINK' && !node.sheet) node.addEventListener('load', () => { pending.push(entry); schedule(); }, { once: true });
+        else pending.push(entry);
+      });
+    });
+    schedule();
+  });
+  observer.observe(document.documentElement, {
+    attributes: true, attributeFilter: ['style'], attributeOldValue: true, childList: true, subtree: true
+  });
+
+  // --- Compare with the theme ----------------------------------------------
+
+  const groups = new Map();
+  let probe = null;
+
+  // Computed form of a value, so "#FFF", "white" and "rgb(255, 255, 255)" compare equal
+  function normalize(property, value){
+    if (!probe) {
+      probe = document.createElement('span');
+      probe.setAttribute(UI_ATTR, '');
+      probe.hidden = true;
+      document.body.appendChild(probe);
+    }
+    quiet = true;
+    probe.style.cssText = '';
+    probe.style.setProperty(property, value);
+    quiet = false;
+    const computed = getComputedStyle(probe).getPropertyValue(property).trim() || String(value).trim();
+    return property === 'font-family' ? computed.replace(/["']/g, '').replace(/\s*,\s*/g, ',').toLowerCase() : computed;
+  }
+
+  function record(script, property, value, important, el, info, effective){
+    let status = 'no setting';
+    let expected = '';
+    if (!effective) {
+      // Something stronger (usually the theme's own !important rule) still wins
+      status = 'no effect';
+    } else if (info.theme && info.theme.value) {
+      expected = info.theme.value;
+      status = normalize(property, expected) === normalize(property, value) ? 'matches setting' : 'conflict';
+    }
+    const setting = info.theme ? info.theme.setting + ' (' + info.theme.name + ')' : '';
+    if (important) value += ' !important';
+    const key = [script, property, value, setting, status].join('|');
+    let group = groups.get(key);
+    if (!group) {
+      group = { script, property, value, setting, expected, status, count: 0, elements: [] };
+      groups.set(key, group);
+      if (status === 'conflict') log.warn('Conflict:', script, 'sets', property + ': ' + value, 'but', setting, 'gives', expected || '(not set)', 'on', window.LibraryStyleInspector.describe(el));
+    }
+    if (group.elements.indexOf(el) === -1) {
+      group.count++;
+      if (group.elements.length < 3) group.elements.push(el);
+    }
+  }
+
+  function evaluate(entry){
+    const inspector = window.LibraryStyleInspector;
+    const tracked = inspector.PROPERTIES;
+    if (entry.kind === 'inline') {
+      entry.changes.forEach(change => {
+        if (tracked.indexOf(change.property) === -1 || !entry.target.isConnected) return;
+        const info = inspector.inspectProperty(entry.target, change.property);
+        record(entry.script, change.property, change.value, change.important, entry.target, info,
+          !!info.winner && info.winner.source === 'style attribute');
+      });
+      return;
+    }
+    let rules = [];
+    try { rules = Array.from((entry.target.sheet && entry.target.sheet.cssRules) || []); } catch (e) { return; }
+    rules.forEach(rule => {
+      if (!rule.style || !rule.selectorText) return;
+      const properties = tracked.filter(p => rule.style.getPropertyValue(p));
+      if (!properties.length) return;
+      let elements = [];
+      try { elements = Array.from(document.querySelectorAll(rule.selectorText)).filter(el => !isOwnUi(el)); } catch (e) {}
+      elements.slice(0, MAX_ELEMENTS_PER_RULE).forEach(el => {
+        properties.forEach(p => {
+          const important = rule.style.getPropertyPriority(p) === 'important';
+          const info = inspector.inspectProperty(el, p);
+          record(entry.script + ' (' + rule.selectorText + ')', p, rule.style.getPropertyValue(p).trim(), important, el, info,
+            !!info.winner && info.winner.selector === rule.selectorText);
+        });
+      });
+    });
+  }
+
+  let timer = null;
+  function schedule(){
+    if (timer) return;
+    timer = setTimeout(flush, 250);
+  }
+
+  function flush(){
+    timer = null;
+    // style-inspector.js is appended after the theme scripts; keep the queue until it is there
+    if (!window.LibraryStyleInspector || !document.body) { schedule(); return; }
+    const batch = pending.splice(0, pending.length);
+    quiet = true;
+    try { batch.forEach(evaluate); } finally { quiet = false; }
+    if (batch.length) render();
+  }
+
+  // --- Panel ---------------------------------------------------------------
+
+  function uiNode(tag, css, text){
+    const node = document.createElement(tag);
+    node.setAttribute(UI_ATTR, '');
+    if (css) node.style.cssText = css;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  let badge = null, panel = null, conflictsOnly = true;
+
+  function list(){
+    return Array.from(groups.values()).map(g => Object.assign({}, g, { elements: g.elements.slice() }));
+  }
+
+  function mountUi(){
+    quiet = true;
+    badge = uiNode('button', 'position:fixed; z-index:2147483647; left:12px; bottom:12px; background:#111; color:#fff; border:1px solid #fc3; border-radius:4px; padding:6px 10px; font:12px system-ui, sans-serif; cursor:pointer;');
+    badge.type = 'button';
+    badge.setAttribute('aria-expanded', 'false');
+    panel = uiNode('div', 'position:fixed; z-index:2147483646; left:12px; bottom:48px; width:min(960px, calc(100vw - 24px)); max-height:60vh; overflow:auto; background:#fff; color:#222; border:1px solid #999; border-radius:4px; box-shadow:0 4px 16px rgba(0,0,0,.3); font:12px/1.4 system-ui, sans-serif; padding:8px;');
+    panel.hidden = true;
+    badge.addEventListener('click', function(){
+      panel.hidden = !panel.hidden;
+      badge.setAttribute('aria-expanded', panel.hidden ? 'false' : 'true');
+      render();
+    });
+    document.body.appendChild(panel);
+    document.body.appendChild(badge);
+    quiet = false;
+  }
+
+  function render(){
+    if (!badge) return;
+    quiet = true;
+    const all = list();
+    const conflicts = all.filter(g => g.status === 'conflict');
+    badge.textContent = 'Overrides: ' + conflicts.length + ' conflict' + (conflicts.length === 1 ? '' : 's') + ' · ' + all.length + ' recorded';
+    if (panel.hidden) { quiet = false; return; }
+
+    panel.textContent = '';
+    const head = uiNode('div', 'display:flex; gap:12px; align-items:center; margin-bottom:6px;');
+    const filter = uiNode('label');
+    const box = uiNode('input');
+    box.type = 'checkbox';
+    box.checked = conflictsOnly;
+    box.addEventListener('change', function(){ conflictsOnly = box.checked; render(); });
+    filter.appendChild(box);
+    filter.appendChild(document.createTextNode(' Conflicts only'));
+    head.appendChild(filter);
+    if (window.LibraryThemeLog) {
+      const download = uiNode('button', '', 'Download diagnostic report');
+      download.type = 'button';
+      download.addEventListener('click', function(){ window.LibraryThemeLog.downloadReport(); });
+      head.appendChild(download);
+    }
+    panel.appendChild(head);
+
+    const rows = conflictsOnly ? conflicts : all;
+    if (!rows.length) {
+      panel.appendChild(uiNode('p', 'margin:4px 0; color:#555;', conflictsOnly ? 'No runtime style changes conflict with a theme setting.' : 'No runtime style changes recorded.'));
+      quiet = false;
+      return;
+    }
+    const table = uiNode('table', 'width:100%; border-collapse:collapse;');
+    const header = uiNode('tr');
+    ['Status', 'Script', 'Property', 'Set to', 'Theme setting', 'Setting gives', 'Elements'].forEach(label => {
+      header.appendChild(uiNode('th', 'text-align:left; border-bottom:1px solid #ccc; padding:3px 6px;', label));
+    });
+    table.appendChild(header);
+    rows.forEach(g => {
+      const tr = uiNode('tr', g.status === 'conflict' ? 'background:#fff3cd;' : '');
+      const samples = g.elements.map(el => window.LibraryStyleInspector.describe(el)).join(', ') + (g.count > g.elements.length ? ' …' : '');
+      [g.status, g.script, g.property, g.value, g.setting || '—', g.expected || '—', g.count + ': ' + samples].forEach(text => {
+        tr.appendChild(uiNode('td', 'border-bottom:1px solid #eee; padding:3px 6px; vertical-align:top; word-break:break-word;', text));
+      });
+      tr.style.cursor = 'pointer';
+      tr.title = 'Scroll to the first element';
+      tr.addEventListener('click', function(){
+        if (g.elements[0] && g.elements[0].isConnected) g.elements[0].scrollIntoView({ block: 'center' });
+      });
+      table.appendChild(tr);
+    });
+    panel.appendChild(table);
+    quiet = false;
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', mountUi);
+  } else {
+    mountUi();
+  }
+  window.addEventListener('load', schedule);
+
+  window.LibraryOverrideDetector = {
+    records: list,
+    conflicts: function(){ return list().filter(g => g.status === 'conflict'); }
+  };
+})();
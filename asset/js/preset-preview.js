@@ -1,63 +1,392 @@
 (function(){
   'use strict';
-  
+
   function onReady(fn){ if(document.readyState!=='loading'){ fn(); } else { document.addEventListener('DOMContentLoaded', fn); } }
-  
+
+  // Same protocol as admin-inline-preview.js / preview-listener.js
+  const MESSAGE_PREFIX = 'library-theme-preview:';
+
   // Track active overlay to prevent multiple instances
   let activeOverlay = null;
-  
-  function createModal() {
+
+  // From the admin theme page preview the public site, elsewhere the current page
+  function getPreviewUrl() {
+    // Site slug and URL from enhanced-preset-system.js, which the admin theme page loads
+    const presets = window.EnhancedPresetSystem;
+    const url = presets && presets.getSiteSlug() ? new URL(presets.getSiteUrl()) : new URL(window.location.href);
+    url.searchParams.set('presetPreview', '1');
+    return url.toString();
+  }
+
+  // Compare mode needs the settings form (enhanced-preset-system.js on the admin theme page)
+  function canCompare() {
+    return !!(window.EnhancedPresetSystem && window.EnhancedPresetSystem.findField('style_preset'));
+  }
+
+  // A value as the field would hold it: color inputs turn empty (unset) into #000000 and lowercase hex
+  function asFieldValue(field, value) {
+    if (field.type !== 'color') return value;
+    return /^#[0-9a-f]{6}$/i.test(value) ? value.toLowerCase() : '#000000';
+  }
+
+  // True when the form still holds the saved settings
+  function isFormSaved() {
+    const presets = window.EnhancedPresetSystem;
+    const saved = collectSavedSettings();
+    const current = presets.collectCurrentSettings();
+    return Object.keys(saved).every(function(name) {
+      return asFieldValue(presets.findField(name), saved[name]) === current[name];
+    });
+  }
+
+  /**
+   * Values the form was rendered with, i.e. the saved settings
+   */
+  function collectSavedSettings() {
+    const presets = window.EnhancedPresetSystem;
+    const values = {};
+    Object.keys(presets.collectCurrentSettings()).forEach(function(name) {
+      const field = presets.findField(name);
+      if (field.type === 'checkbox') {
+        values[name] = field.defaultChecked ? '1' : '0';
+      } else if (field.tagName === 'SELECT') {
+        const option = Array.prototype.find.call(field.options, function(o) { return o.defaultSelected; }) || field.options[0];
+        values[name] = option ? option.value : '';
+      } else {
+        values[name] = field.defaultValue;
+      }
+    });
+    return values;
+  }
+
+  /**
+   * What each side of the comparison can show: saved settings, the unsaved form, or a preset
+   *
+   * @returns {Array<{key: string, label: string, values: Function}>}
+   */
+  function getCompareSources() {
+    const presets = window.EnhancedPresetSystem;
+    const sources = [
+      { key: 'saved', label: 'Saved settings', values: collectSavedSettings },
+      { key: 'form', label: 'Unsaved form', values: presets.collectCurrentSettings }
+    ];
+    Object.keys(presets.PRESETS).forEach(function(name) {
+      sources.push({ key: 'preset:' + name, preset: name, label: presets.PRESETS[name].label || name });
+    });
+    const custom = presets.loadCustomPresets();
+    Object.keys(custom).forEach(function(id) {
+      sources.push({ key: 'preset:' + id, preset: id, label: custom[id].name });
+    });
+    sources.forEach(function(source) {
+      // A preset is shown on top of the saved settings, as applying it would do
+      if (source.preset) {
+        source.values = function() { return Object.assign(collectSavedSettings(), presets.getPreset(source.preset) || {}); };
+      }
+    });
+    return sources;
+  }
+
+  /**
+   * Put the form into the state a compare side shows. A preset side goes through the diff
+   * review with the values the pane rendered (saved settings with the preset on top).
+   *
+   * @param {Object} source From getCompareSources()
+   * @param {Function} onDone Called once the form has changed
+   */
+  function useSource(source, onDone) {
+    const presets = window.EnhancedPresetSystem;
+    if (source.preset) {
+      const values = source.values();
+      const validation = presets.validatePreset(values);
+      const rejected = validation.errors.map(function(error) { return error.name; });
+      const clean = {};
+      Object.keys(values).forEach(function(name) {
+        if (presets.findField(name) && rejected.indexOf(name) === -1) clean[name] = values[name];
+      });
+      const select = presets.findField('style_preset');
+      const selectPreset = function() {
+        if (select && Array.prototype.some.call(select.options, function(o) { return o.value === source.preset; })) {
+          presets.setFieldValue('style_preset', source.preset);
+        }
+      };
+      const shown = presets.showValuesDiff({
+        title: 'Use "' + source.label + '"',
+        values: clean,
+        problems: validation.errors.map(function(error) { return error.name + ': ' + error.problem; }),
+        onApply: function(names) {
+          presets.recordHistory('Use ' + source.label, function() {
+            names.forEach(function(name) { presets.setFieldValue(name, clean[name]); });
+            selectPreset();
+          });
+          onDone();
+        }
+      });
+      if (!shown) {
+        selectPreset();
+        onDone();
+      }
+      return;
+    }
+    if (source.key === 'saved') {
+      const values = collectSavedSettings();
+      let changed = 0;
+      presets.recordHistory('Restore saved settings', function() {
+        Object.keys(values).forEach(function(name) {
+          const field = presets.findField(name);
+          const current = field.type === 'checkbox' ? (field.checked ? '1' : '0') : field.value;
+          if (current !== asFieldValue(field, values[name]) && presets.setFieldValue(name, values[name])) changed++;
+        });
+      });
+      presets.showNotification('Restored saved settings: ' + changed + ' field(s) reset', 'success');
+    }
+    onDone();
+  }
+
+  /**
+   * Two previews side by side, each showing one source, with linked scrolling
+   *
+   * @returns {Function} Cleanup for when the modal closes
+   */
+  function buildCompare(container, previewUrl) {
+    const sources = getCompareSources();
+    const byKey = {};
+    sources.forEach(function(source) { byKey[source.key] = source; });
+    const presetKeys = sources.filter(function(source) { return source.preset; }).map(function(source) { return source.key; });
+    // Start with the saved site against the form, or two presets when there is nothing unsaved
+    const initial = ['saved', 'form'];
+    if (isFormSaved() && presetKeys.length > 1) {
+      initial[0] = presetKeys[0];
+      initial[1] = presetKeys[1];
+    }
+
+    const compare = document.createElement('div');
+    compare.className = 'preset-compare';
+
+    const options = document.createElement('label');
+    options.className = 'preset-compare__options';
+    const linkScroll = document.createElement('input');
+    linkScroll.type = 'checkbox';
+    linkScroll.checked = true;
+    options.appendChild(linkScroll);
+    options.appendChild(document.createTextNode(' Link scrolling'));
+    container.appendChild(options);
+
+    const panes = [];
+    let scrollLock = null;
+    const viewports = [];
+
+    initial.forEach(function(key, index) {
+      const pane = { ready: false };
+      pane.el = document.createElement('div');
+      pane.el.className = 'preset-compare__pane';
+
+      const head = document.createElement('div');
+      head.className = 'preset-compare__head';
+      pane.select = document.createElement('select');
+      pane.select.setAttribute('aria-label', (index === 0 ? 'Left' : 'Right') + ' preview shows');
+      sources.forEach(function(source) {
+        const option = document.createElement('option');
+        option.value = source.key;
+        option.textContent = source.label;
+        pane.select.appendChild(option);
+      });
+      pane.select.value = key;
+      pane.useButton = document.createElement('button');
+      pane.useButton.type = 'button';
+      pane.useButton.className = 'preset-compare__use';
+      pane.useButton.textContent = 'Use this one';
+      pane.note = document.createElement('span');
+      pane.note.className = 'preset-compare__note';
+      head.appendChild(pane.select);
+      head.appendChild(pane.useButton);
+      head.appendChild(pane.note);
+
+      pane.frame = document.createElement('iframe');
+      pane.frame.className = 'preset-preview-frame';
+      pane.frame.setAttribute('src', previewUrl);
+      pane.frame.setAttribute('frameborder', '0');
+      pane.frame.setAttribute('title', (index === 0 ? 'Left' : 'Right') + ' preview');
+
+      pane.el.appendChild(head);
+      pane.el.appendChild(pane.frame);
+      compare.appendChild(pane.el);
+      panes.push(pane);
+    });
+    container.appendChild(compare);
+
+    // One device size for both sides
+    if (window.LibraryPreviewViewport) {
+      panes.forEach(function(pane, index) {
+        viewports[index] = window.LibraryPreviewViewport.attach(pane.frame, {
+          onChange: function(state) { viewports[1 - index].setState(state); }
+        });
+      });
+    }
+
+    function send(pane) {
+      const source = byKey[pane.select.value];
+      pane.useButton.disabled = source.key === 'form';
+      pane.useButton.title = source.key === 'form' ? 'The form already has these values' : '';
+      if (!pane.ready || !pane.frame.contentWindow) return;
+      pane.frame.contentWindow.postMessage({ type: MESSAGE_PREFIX + 'settings', settings: source.values() }, window.location.origin);
+    }
+
+    function syncScroll(from) {
+      if (!linkScroll.checked) return;
+      if (scrollLock === from) { scrollLock = null; return; }
+      const to = panes[1 - panes.indexOf(from)];
+      try {
+        const fromWin = from.frame.contentWindow;
+        const toWin = to.frame.contentWindow;
+        const fromMax = fromWin.document.documentElement.scrollHeight - fromWin.innerHeight;
+        const toMax = toWin.document.documentElement.scrollHeight - toWin.innerHeight;
+        // Proportional, since the two pages can differ in height
+        const ratio = fromMax > 0 ? fromWin.scrollY / fromMax : 0;
+        scrollLock = to;
+        toWin.scrollTo(fromWin.scrollX, Math.round(ratio * Math.max(toMax, 0)));
+        window.requestAnimationFrame(function() { if (scrollLock === to) scrollLock = null; });
+      } catch (e) {
+        // Cross-origin preview: nothing to link
+      }
+    }
+
+    panes.forEach(function(pane) {
+      pane.select.addEventListener('change', function() { send(pane); });
+      pane.useButton.addEventListener('click', function() {
+        useSource(byKey[pane.select.value], function() { panes.forEach(send); });
+      });
+      pane.frame.addEventListener('load', function() {
+        pane.ready = false;
+        pane.note.textContent = 'Loading…';
+        try {
+          pane.frame.contentWindow.addEventListener('scroll', function() { syncScroll(pane); });
+        } catch (e) {}
+        pane.frame.contentWindow.postMessage({ type: MESSAGE_PREFIX + 'ping' }, window.location.origin);
+      });
+    });
+
+    function onMessage(e) {
+      const pane = panes.find(function(p) { return e.source === p.frame.contentWindow; });
+      if (!pane || e.origin !== window.location.origin) return;
+      const data = e.data || {};
+      if (data.type === MESSAGE_PREFIX + 'ready') {
+        if (pane.ready) return;
+        pane.ready = true;
+        pane.note.textContent = '';
+        send(pane);
+      } else if (data.type === MESSAGE_PREFIX + 'applied') {
+        const missing = (data.unsupported || []).length;
+        pane.note.textContent = missing ? missing + ' setting(s) not shown until saved' : '';
+        pane.note.title = (data.unsupported || []).join(', ');
+      }
+    }
+    window.addEventListener('message', onMessage);
+    panes.forEach(send);
+
+    return function() { window.removeEventListener('message', onMessage); };
+  }
+
+  function createModal(options) {
     // Prevent multiple overlays
     if (activeOverlay) {
       return;
     }
-    
+    let compareMode = !!(options && options.compare) && canCompare();
+    let cleanupCompare = null;
+
     // Safe URL construction using URL API
-    const currentUrl = new URL(window.location.href);
-    currentUrl.searchParams.set('presetPreview', '1');
-    const safePreviewUrl = currentUrl.toString();
-    
+    const safePreviewUrl = getPreviewUrl();
+
     // Create overlay with proper DOM methods (no innerHTML)
     const overlay = document.createElement('div');
     overlay.className = 'preset-preview-overlay';
     overlay.setAttribute('role', 'dialog');
     overlay.setAttribute('aria-modal', 'true');
     overlay.setAttribute('aria-labelledby', 'preset-modal-title');
-    
+
     // Create modal container
     const modal = document.createElement('div');
     modal.className = 'preset-preview-modal';
-    
+
     // Create close button with proper accessibility
     const closeButton = document.createElement('button');
     closeButton.className = 'close';
     closeButton.setAttribute('type', 'button');
     closeButton.setAttribute('aria-label', 'Close preset preview');
     closeButton.textContent = '×';
-    
+
     // Create hidden title for screen readers
     const title = document.createElement('h2');
     title.id = 'preset-modal-title';
     title.className = 'sr-only';
     title.textContent = 'Preset Preview';
     title.style.cssText = 'position: absolute; width: 1px; height: 1px; padding: 0; margin: -1px; overflow: hidden; clip: rect(0,0,0,0); white-space: nowrap; border: 0;';
-    
-    // Create iframe with safe URL
-    const iframe = document.createElement('iframe');
-    iframe.className = 'preset-preview-frame';
-    iframe.setAttribute('src', safePreviewUrl);
-    iframe.setAttribute('frameborder', '0');
-    iframe.setAttribute('title', 'Preset preview');
-    
+
+    // Switch between one preview and the A/B comparison
+    const head = document.createElement('div');
+    head.className = 'preset-preview-head';
+    head.hidden = !canCompare();
+    const modeButton = document.createElement('button');
+    modeButton.className = 'preset-preview-mode';
+    modeButton.setAttribute('type', 'button');
+    head.appendChild(modeButton);
+
+    const body = document.createElement('div');
+    body.className = 'preset-preview-body';
+
     // Assemble modal
     modal.appendChild(title);
+    modal.appendChild(head);
     modal.appendChild(closeButton);
-    modal.appendChild(iframe);
+    modal.appendChild(body);
     overlay.appendChild(modal);
-    
+
+    function render() {
+      if (cleanupCompare) {
+        cleanupCompare();
+        cleanupCompare = null;
+      }
+      body.textContent = '';
+      modal.classList.toggle('preset-preview-modal--compare', compareMode);
+      modeButton.textContent = compareMode ? 'Single preview' : 'Compare side by side';
+      if (compareMode) {
+        cleanupCompare = buildCompare(body, safePreviewUrl);
+        return;
+      }
+
+      // Create iframe with safe URL
+      const iframe = document.createElement('iframe');
+      iframe.className = 'preset-preview-frame';
+      iframe.setAttribute('src', safePreviewUrl);
+      iframe.setAttribute('frameborder', '0');
+      iframe.setAttribute('title', 'Preset preview');
+      body.appendChild(iframe);
+
+      // Device-size toolbar (preview-viewport.js)
+      if (window.LibraryPreviewViewport) {
+        window.LibraryPreviewViewport.attach(iframe);
+      }
+    }
+
+    modeButton.addEventListener('click', function() {
+      compareMode = !compareMode;
+      render();
+    });
+
+    // Close on Escape key
+    function handleKeydown(ev) {
+      // Escape in the "Use this one" review dialog closes only that dialog
+      if (ev.key === 'Escape' && !document.querySelector('.preset-diff-overlay')) {
+        ev.preventDefault();
+        closeModal();
+      }
+    }
+
     // Close modal function
     function closeModal() {
       if (activeOverlay) {
+        if (cleanupCompare) cleanupCompare();
+        document.removeEventListener('keydown', handleKeydown);
         document.body.removeChild(activeOverlay);
         activeOverlay = null;
         // Restore focus to trigger element if possible
@@ -67,47 +396,40 @@
         }
       }
     }
-    
+
     // Event listeners
     closeButton.addEventListener('click', closeModal);
-    
+
     // Close on overlay click (but not modal content)
     overlay.addEventListener('click', function(ev) {
       if (ev.target === overlay) {
         closeModal();
       }
     });
-    
-    // Close on Escape key
-    function handleKeydown(ev) {
-      if (ev.key === 'Escape') {
-        ev.preventDefault();
-        closeModal();
-        document.removeEventListener('keydown', handleKeydown);
-      }
-    }
+
     document.addEventListener('keydown', handleKeydown);
-    
+
     // Add to DOM and track
     document.body.appendChild(overlay);
     activeOverlay = overlay;
-    
+    render();
+
     // Focus management - focus the close button initially
     setTimeout(() => {
       closeButton.focus();
     }, 100);
   }
-  
+
   onReady(function(){
-    // Support multiple triggers with the same data attribute
-    const triggers = document.querySelectorAll('[data-action="open-preset-preview"]');
-    
-    triggers.forEach(function(trigger) {
-      trigger.addEventListener('click', function(e) {
-        e.preventDefault();
-        createModal();
-      });
+    // Delegated so triggers added later (e.g. the admin Preset Controls) work too;
+    // data-compare="1" opens straight into the side-by-side comparison
+    document.addEventListener('click', function(e) {
+      const trigger = e.target.closest && e.target.closest('[data-action="open-preset-preview"]');
+      if (!trigger) return;
+      e.preventDefault();
+      createModal({ compare: trigger.dataset.compare === '1' });
     });
   });
-})();
 
+  window.PresetPreview = { open: createModal };
+})();
@@ -0,0 +1,211 @@
+(function(){
+  'use strict';
+  // Live preview listener: loaded by layout.phtml when the site is shown in the admin
+  // preview iframe (?presetPreview=1). admin-inline-preview.js posts theme setting values;
+  // they are applied as the CSS custom properties theme-setting-css.phtml emits, or as injected
+  // rules where it writes literal values, without a reload.
+  try {
+    if (!new URLSearchParams(window.location.search).get('presetPreview')) return;
+  } catch (e) { return; }
+  if (window.parent === window) return;
+
+  var log = window.LibraryThemeLog.create('preview');
+
+  var MESSAGE_PREFIX = 'library-theme-preview:';
+
+  // Font keys to CSS stacks: theme-setting-css.phtml writes them from asset/fonts/families.json
+  var FONT_STACKS = {};
+  try {
+    var stacksNode = document.getElementById('library-theme-font-stacks');
+    if (stacksNode) FONT_STACKS = JSON.parse(stacksNode.textContent) || {};
+  } catch (e) {
+    log.warn('Preview listener: unreadable #library-theme-font-stacks', e);
+  }
+
+  // $fontSizeMap in theme-setting-css.phtml
+  var TOC_FONT_SIZES = { small: '0.8rem', medium: '0.9rem', normal: '1.0rem', large: '1.1rem', extra_large: '1.2rem', huge: '1.5rem' };
+
+  function fontStack(value){ return FONT_STACKS[value] || null; }
+
+  // Same rules as $normalizeSize: unitless numbers are rem
+  function cssSize(value){
+    var v = String(value).trim();
+    if (/^\d*\.?\d+(px|rem|em|%)$/.test(v)) return v;
+    if (/^\d*\.?\d+$/.test(v)) return v + 'rem';
+    return null;
+  }
+
+  // Same rules as $normalizeColor
+  function cssColor(value){
+    var v = String(value).trim();
+    if (/^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(v)) return v;
+    if (/^(?:rgba?|hsla?)\(\s*[-+0-9.,%\/\sdeg]+\)$/i.test(v)) return v;
+    if (/^[a-z]+$/i.test(v)) return v;
+    return null;
+  }
+
+  function keyword(value){
+    var v = String(value).trim();
+    return /^[a-z0-9-]+$/i.test(v) ? v : null;
+  }
+
+  // Setting => custom properties it drives, and how the value is converted. Only properties a
+  // stylesheet loaded by layout.phtml reads (font-overrides.css, theme-setting-css.phtml,
+  // resource-page-blocks.css, the page/show.phtml inline styles) belong here, or the preview
+  // reports a change it cannot show.
+  var SETTING_VARS = {
+    h1_font_family: [['--h1-font-family', fontStack]],
+    h2_font_family: [['--h2-font-family', fontStack]],
+    h3_font_family: [['--h3-font-family', fontStack]],
+    body_font_family: [['--body-font-family', fontStack]],
+    tagline_font_family: [['--tagline-font-family', fontStack]],
+    page_title_font_family: [['--page-title-font-family', fontStack]],
+    h1_font_style: [['--h1-font-style', keyword]],
+    h2_font_style: [['--h2-font-style', keyword]],
+    h3_font_style: [['--h3-font-style', keyword]],
+    body_font_style: [['--body-font-style', keyword]],
+    tagline_font_style: [['--tagline-font-style', keyword]],
+    tagline_font_weight: [['--tagline-font-weight', keyword]],
+    h1_font_size: [['--h1-font-size', cssSize]],
+    h2_font_size: [['--h2-font-size', cssSize]],
+    h3_font_size: [['--h3-font-size', cssSize]],
+    body_font_size: [['--body-font-size', cssSize]],
+    toc_font_size: [['--toc-font-size', function(v){ return TOC_FONT_SIZES[v] || null; }]],
+    toc_font_size_rem: [['--toc-font-size', cssSize]],
+    tagline_font_color: [['--tagline-color', cssColor]],
+    h1_font_color: [['--h1-font-color', cssColor]],
+    h2_font_color: [['--h2-font-color', cssColor]],
+    h3_font_color: [['--h3-font-color', cssColor]],
+    body_font_color: [['--body-font-color', cssColor]],
+    h1_hover_text_color: [['--h1-hover-text-color', cssColor]],
+    h1_hover_background_color: [['--h1-hover-background-color', cssColor]],
+    h2_hover_text_color: [['--h2-hover-text-color', cssColor]],
+    h2_hover_background_color: [['--h2-hover-background-color', cssColor]],
+    h3_hover_text_color: [['--h3-hover-text-color', cssColor]],
+    h3_hover_background_color: [['--h3-hover-background-color', cssColor]],
+    body_hover_text_color: [['--body-hover-text-color', cssColor]],
+    primary_color: [['--primary-color', cssColor], ['--color-primary', cssColor]],
+    accent_color: [['--color-accent', cssColor]],
+    // Tab navigation on item pages (resource-page-blocks.css); the TOC itself is in SETTING_RULES
+    toc_hover_text_color: [['--toc-hover-text-color', cssColor]],
+    toc_hover_background_color: [['--toc-hover-background-color', cssColor]],
+    toc_border_color: [['--toc-border', cssColor]]
+  };
+
+  // Selectors of the rules theme-setting-css.phtml writes with literal !important values
+  // (TABLE OF CONTENTS, TOC LINKS, TOC HOVER STATES, TAGLINE and Tagline hover)
+  var TOC_LISTS = ['main ul.navigation', 'main ul.navigation li', '.list-of-pages', '.toc', '.table-of-contents', '.page-list', '.block-listOfPages ul'];
+  var TOC_LINKS = ['main ul.navigation a', '.list-of-pages a', '.toc a', '.table-of-contents a', '.page-list a', '.block-listOfPages ul a'];
+  var PAGE_TITLE_PILLS = ['.block.block-pageTitle h2', '.block.block-pageTitle h2 a'];
+  var TAGLINE = ['.site-tagline', '.site-tagline a', '.site-tagline .tagline-link'];
+  var TAGLINE_HOVER = ['.site-tagline:hover', '.site-tagline a:hover', '.site-tagline:hover a'];
+
+  function suffixed(selectors, suffix){
+    return selectors.map(function(selector){ return selector + suffix; });
+  }
+
+  // Base rules skip :hover so they do not outrank the page's own hover rules
+  var TOC_LINKS_BASE = suffixed(TOC_LINKS.concat(PAGE_TITLE_PILLS), ':not(:hover)');
+  var TOC_HOVER = suffixed(TOC_LINKS.concat(PAGE_TITLE_PILLS), ':hover');
+
+  // Setting => [selectors, property, converter] rules the preview restates with the new value
+  var SETTING_RULES = {
+    toc_font_family: [[TOC_LISTS.concat(TOC_LINKS), 'font-family', fontStack]],
+    toc_font_style: [[TOC_LISTS.concat(TOC_LINKS), 'font-style', keyword]],
+    toc_text_color: [[TOC_LINKS_BASE, 'color', cssColor]],
+    toc_background_color: [[TOC_LINKS_BASE.concat(['.site-tagline:not(:hover)']), 'background', cssColor]],
+    toc_border_color: [[TOC_LINKS_BASE, 'border-color', cssColor]],
+    toc_hover_text_color: [[TOC_HOVER, 'color', cssColor]],
+    toc_hover_background_color: [[TOC_HOVER, 'background', cssColor], [TOC_HOVER, 'border-color', cssColor]],
+    tagline_font_family: [[TAGLINE, 'font-family', fontStack]],
+    tagline_font_style: [[TAGLINE, 'font-style', keyword]],
+    tagline_font_weight: [[TAGLINE, 'font-weight', keyword]],
+    tagline_font_size: [[TAGLINE, 'font-size', cssSize]],
+    tagline_hover_text_color: [[TAGLINE_HOVER, 'color', cssColor]],
+    tagline_hover_background_color: [[TAGLINE_HOVER, 'background', cssColor]]
+  };
+
+  // The :not(#id) prefix adds an id's worth of specificity, so these beat the literal rules
+  var RULE_PREFIX = 'html:root body:not(#library-theme-preview-rules) ';
+  var RULE_STYLE_ID = 'library-theme-preview-rules';
+  var ruleValues = {};
+
+  function renderRules(){
+    var css = Object.keys(ruleValues).map(function(name){
+      return SETTING_RULES[name].map(function(rule, i){
+        var selectors = rule[0].map(function(selector){ return RULE_PREFIX + selector; }).join(',\n');
+        return selectors + ' {\n  ' + rule[1] + ': ' + ruleValues[name][i] + ' !important;\n}';
+      }).join('\n');
+    }).join('\n');
+    var style = document.getElementById(RULE_STYLE_ID);
+    if (!style) {
+      style = document.createElement('style');
+      style.id = RULE_STYLE_ID;
+    }
+    style.textContent = css;
+    // Last in <head> so it also follows stylesheets added after the listener ran
+    document.head.appendChild(style);
+  }
+
+  /**
+   * Apply setting values as custom properties on :root and as injected rules
+   *
+   * @returns {{applied: string[], unsupported: string[]}} Settings that neither drive a custom
+   *          property nor have an injected rule (or have an unusable value) need a save to show
+   */
+  function applySettings(settings){
+    var root = document.documentElement.style;
+    var result = { applied: [], unsupported: [] };
+    var rulesChanged = false;
+    Object.keys(settings || {}).forEach(function(name){
+      var targets = SETTING_VARS[name] || [];
+      var rules = SETTING_RULES[name] || [];
+      var value = settings[name];
+      if (!targets.length && !rules.length) { result.unsupported.push(name); return; }
+      // Empty means "use the saved/preset value" again
+      if (value === null || value === undefined || String(value).trim() === '') {
+        targets.forEach(function(t){ root.removeProperty(t[0]); });
+        if (ruleValues[name]) { delete ruleValues[name]; rulesChanged = true; }
+        result.applied.push(name);
+        return;
+      }
+      var vars = targets.map(function(t){ return t[1](value); });
+      var values = rules.map(function(rule){ return rule[2](value); });
+      if (vars.concat(values).indexOf(null) !== -1) { result.unsupported.push(name); return; }
+      targets.forEach(function(t, i){ root.setProperty(t[0], vars[i]); });
+      if (rules.length) { ruleValues[name] = values; rulesChanged = true; }
+      result.applied.push(name);
+    });
+    if (rulesChanged) renderRules();
+    return result;
+  }
+
+  function supportedSettings(){
+    return Object.keys(SETTING_VARS).concat(Object.keys(SETTING_RULES).filter(function(name){
+      return !SETTING_VARS[name];
+    }));
+  }
+
+  function post(type, data){
+    var message = { type: MESSAGE_PREFIX + type };
+    Object.keys(data || {}).forEach(function(key){ message[key] = data[key]; });
+    window.parent.postMessage(message, window.location.origin);
+  }
+
+  window.addEventListener('message', function(e){
+    // Only the admin page that embeds us (same Omeka host)
+    if (e.source !== window.parent || e.origin !== window.location.origin) return;
+    var data = e.data || {};
+    if (data.type === MESSAGE_PREFIX + 'settings') {
+      var result = applySettings(data.settings);
+      log.debug('Preview listener: applied', result.applied, 'unsupported', result.unsupported);
+      post('applied', { applied: result.applied, unsupported: result.unsupported });
+    } else if (data.type === MESSAGE_PREFIX + 'ping') {
+      post('ready', { settings: supportedSettings() });
+    }
+  });
+
+  post('ready', { settings: supportedSettings() });
+
+  window.LibraryThemePreviewListener = { applySettings: applySettings, SETTING_VARS: SETTING_VARS, SETTING_RULES: SETTING_RULES };
+})();
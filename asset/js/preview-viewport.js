@@ -0,0 +1,196 @@
+(function(){
+  'use strict';
+  // Device-size toolbar for the theme preview iframes (admin-inline-preview.js, preset-preview.js).
+  // The iframe is given the real device width so the site's media queries apply, then
+  // optionally scaled down to fit the space the preview has.
+
+  const STORAGE_KEY = 'libraryTheme.previewViewport';
+
+  const DEVICES = {
+    phone: { label: 'Phone', width: 390, height: 844 },
+    tablet: { label: 'Tablet', width: 820, height: 1180 },
+    desktop: { label: 'Desktop', width: 1440, height: 900 },
+    custom: { label: 'Custom', width: 1024, height: 768 }
+  };
+  const MIN_WIDTH = 240;
+  const MAX_WIDTH = 2560;
+
+  function loadState() {
+    const state = { device: 'desktop', rotated: false, fit: true, customWidth: DEVICES.custom.width };
+    try {
+      const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '{}');
+      if (DEVICES[saved.device]) state.device = saved.device;
+      if (typeof saved.rotated === 'boolean') state.rotated = saved.rotated;
+      if (typeof saved.fit === 'boolean') state.fit = saved.fit;
+      if (saved.customWidth) state.customWidth = clampWidth(saved.customWidth);
+    } catch (e) {}
+    return state;
+  }
+
+  function saveState(state) {
+    try { window.localStorage.setItem(STORAGE_KEY, JSON.stringify(state)); } catch (e) {}
+  }
+
+  function clampWidth(value) {
+    const n = parseInt(value, 10);
+    if (!isFinite(n)) return DEVICES.custom.width;
+    return Math.max(MIN_WIDTH, Math.min(MAX_WIDTH, n));
+  }
+
+  /**
+   * Frame size for a state; rotating swaps a device's width and height
+   *
+   * @returns {{width: number, height: number}}
+   */
+  function getFrameSize(state, stageHeight) {
+    if (state.device === 'custom') {
+      // Custom is about width; use the height the preview has
+      return { width: state.customWidth, height: Math.max(stageHeight || 0, 320) };
+    }
+    const device = DEVICES[state.device];
+    return state.rotated
+      ? { width: device.height, height: device.width }
+      : { width: device.width, height: device.height };
+  }
+
+  function createButton(text, label) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'preview-viewport__button';
+    button.textContent = text;
+    if (label) button.setAttribute('aria-label', label);
+    return button;
+  }
+
+  /**
+   * Put a preview iframe on a device-sized stage with a toolbar above it
+   *
+   * @param {HTMLIFrameElement} frame
+   * @param {Object} [options]
+   * @param {Function} [options.onChange] Called with a copy of the state after the user changes it
+   * @returns {{toolbar: HTMLElement, stage: HTMLElement, setDevice: Function, setState: Function, refresh: Function}}
+   */
+  function attach(frame, options) {
+    const onChange = (options && options.onChange) || null;
+    const state = loadState();
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'preview-viewport__toolbar';
+    toolbar.setAttribute('role', 'toolbar');
+    toolbar.setAttribute('aria-label', 'Preview size');
+
+    const stage = document.createElement('div');
+    stage.className = 'preview-viewport__stage';
+    const sizer = document.createElement('div');
+    sizer.className = 'preview-viewport__sizer';
+
+    const deviceButtons = {};
+    Object.keys(DEVICES).forEach(function(name) {
+      const button = createButton(DEVICES[name].label);
+      button.dataset.device = name;
+      button.addEventListener('click', function() { setDevice(name); });
+      deviceButtons[name] = button;
+      toolbar.appendChild(button);
+    });
+
+    const widthInput = document.createElement('input');
+    widthInput.type = 'number';
+    widthInput.className = 'preview-viewport__width';
+    widthInput.min = String(MIN_WIDTH);
+    widthInput.max = String(MAX_WIDTH);
+    widthInput.step = '10';
+    widthInput.value = String(state.customWidth);
+    widthInput.setAttribute('aria-label', 'Custom width in pixels');
+    widthInput.addEventListener('change', function() {
+      state.customWidth = clampWidth(widthInput.value);
+      setDevice('custom');
+    });
+    toolbar.appendChild(widthInput);
+
+    const rotateButton = createButton('⟳ Rotate', 'Rotate the device');
+    rotateButton.addEventListener('click', function() {
+      state.rotated = !state.rotated;
+      changed();
+    });
+    toolbar.appendChild(rotateButton);
+
+    const fitLabel = document.createElement('label');
+    fitLabel.className = 'preview-viewport__fit';
+    const fitInput = document.createElement('input');
+    fitInput.type = 'checkbox';
+    fitInput.checked = state.fit;
+    fitInput.addEventListener('change', function() {
+      state.fit = fitInput.checked;
+      changed();
+    });
+    fitLabel.appendChild(fitInput);
+    fitLabel.appendChild(document.createTextNode(' Zoom to fit'));
+    toolbar.appendChild(fitLabel);
+
+    const sizeLabel = document.createElement('span');
+    sizeLabel.className = 'preview-viewport__size';
+    sizeLabel.setAttribute('aria-live', 'polite');
+    toolbar.appendChild(sizeLabel);
+
+    // Move the iframe onto the stage, keeping its place in the page
+    frame.parentNode.insertBefore(toolbar, frame);
+    frame.parentNode.insertBefore(stage, frame);
+    sizer.appendChild(frame);
+    stage.appendChild(sizer);
+
+    function update() {
+      const stageWidth = stage.clientWidth;
+      const stageHeight = stage.clientHeight;
+      const size = getFrameSize(state, stageHeight);
+      // Without a layout (hidden container) there is nothing to fit to yet
+      const scale = state.fit && stageWidth && stageHeight
+        ? Math.min(1, stageWidth / size.width, stageHeight / size.height)
+        : 1;
+
+      frame.style.width = size.width + 'px';
+      frame.style.height = size.height + 'px';
+      frame.style.transform = scale < 1 ? 'scale(' + scale + ')' : '';
+      frame.style.transformOrigin = '0 0';
+      sizer.style.width = Math.round(size.width * scale) + 'px';
+      sizer.style.height = Math.round(size.height * scale) + 'px';
+
+      Object.keys(deviceButtons).forEach(function(name) {
+        deviceButtons[name].setAttribute('aria-pressed', name === state.device ? 'true' : 'false');
+      });
+      widthInput.value = String(state.customWidth);
+      widthInput.hidden = state.device !== 'custom';
+      fitInput.checked = state.fit;
+      rotateButton.disabled = state.device === 'custom';
+      sizeLabel.textContent = size.width + ' × ' + size.height + (scale < 1 ? ' · ' + Math.round(scale * 100) + '%' : '');
+      saveState(state);
+    }
+
+    function changed() {
+      update();
+      if (onChange) onChange(Object.assign({}, state));
+    }
+
+    function setDevice(name) {
+      if (!DEVICES[name]) return;
+      state.device = name;
+      changed();
+    }
+
+    // Follow another preview's toolbar (compare mode); does not call onChange
+    function setState(next) {
+      Object.assign(state, next);
+      update();
+    }
+
+    if (typeof ResizeObserver === 'function') {
+      new ResizeObserver(function() { if (state.fit) update(); }).observe(stage);
+    } else {
+      window.addEventListener('resize', function() { if (state.fit) update(); });
+    }
+    update();
+
+    return { toolbar, stage, setDevice, setState, refresh: update };
+  }
+
+  window.LibraryPreviewViewport = { attach, DEVICES };
+})();
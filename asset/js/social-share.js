@@ -7,6 +7,8 @@
 
 (function() {
     'use strict';
+
+    const log = window.LibraryThemeLog.create('share');
     
     /**
      * Initialize social share popup handlers
@@ -51,7 +53,7 @@
             }
         } catch (error) {
             // Error opening popup, fallback to new tab
-            console.warn('Failed to open social share popup:', error);
+            log.warn('Failed to open social share popup:', error);
             window.open(href, '_blank');
         }
     }
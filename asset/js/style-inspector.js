@@ -0,0 +1,393 @@
+(function(){
+  'use strict';
+  // Style inspector overlay: loaded by layout.phtml with ?debug=styles (and ?debug=overrides,
+  // whose detector uses the cascade helpers below without the overlay).
+  // Hover any element to see, for its font, color and background, which rule wins, which
+  // theme setting / custom property feeds it and whether a runtime !important beats it.
+  // Click pins the panel (links do not navigate while the inspector is on), Escape unpins.
+  let showOverlay = false;
+  try {
+    const dbg = new URLSearchParams(window.location.search).get('debug') || '';
+    showOverlay = /(?:^|,)styles(?::|,|$)/i.test(dbg);
+  } catch (e) { return; }
+  if (window.LibraryStyleInspector) return;
+
+  // Pinned inspections go to the diagnostic report under 'styles'
+  const log = window.LibraryThemeLog.create('styles');
+
+  const UI_ATTR = 'data-style-inspector';
+  const RESOLUTION_ID = 'library-theme-settings-resolution';
+  const PROPERTIES = ['font-family', 'font-size', 'font-style', 'font-weight', 'color', 'background-color'];
+  const INHERITED = ['font-family', 'font-size', 'font-style', 'font-weight', 'color'];
+
+  // Custom properties whose name is not the setting key with dashes (see preview-listener.js)
+  const VAR_ALIASES = {
+    '--color-primary': 'primary_color',
+    '--color-accent': 'accent_color',
+    '--tagline-color': 'tagline_font_color',
+    '--toc-bg': 'toc_background_color',
+    '--toc-border': 'toc_border_color',
+    '--toc-hover-color': 'toc_hover_text_color',
+    '--pagination-bg': 'pagination_background_color',
+    '--pagination-color': 'pagination_font_color',
+    '--pagination-hover-color': 'pagination_hover_background_color',
+    '--pagination-button-font-size': 'pagination_button_size',
+    '--pagination-button-padding': 'pagination_button_size'
+  };
+
+  // What was in the markup when this script ran; anything added or changed later came from a script
+  const baseline = {
+    sheets: new Set(Array.from(document.querySelectorAll('style, link[rel="stylesheet"]'))),
+    inline: new Map(Array.from(document.querySelectorAll('[style]')).map(el => [el, el.getAttribute('style')]))
+  };
+
+  function readResolution(){
+    try {
+      const node = document.getElementById(RESOLUTION_ID);
+      return node ? JSON.parse(node.textContent) : null;
+    } catch (e) { return null; }
+  }
+
+  const resolution = readResolution();
+  const varSettings = Object.assign({}, VAR_ALIASES);
+  if (resolution && resolution.settings) {
+    Object.keys(resolution.settings).forEach(key => {
+      const v = resolution.settings[key].var;
+      if (v) varSettings[v] = key;
+    });
+  }
+
+  function settingForVar(name){
+    if (varSettings[name]) return varSettings[name];
+    // --h1-font-family -> h1_font_family
+    const guess = name.replace(/^--/, '').replace(/-/g, '_');
+    if (!resolution || !resolution.settings) return /_(font_(family|size|style|weight|color)|color)$/.test(guess) ? guess : null;
+    return resolution.settings[guess] ? guess : null;
+  }
+
+  function describe(el){
+    if (!el || !el.tagName) return String(el);
+    let text = el.tagName.toLowerCase();
+    if (el.id) text += '#' + el.id;
+    if (typeof el.className === 'string' && el.className.trim()) text += '.' + el.className.trim().split(/\s+/).slice(0, 3).join('.');
+    return text;
+  }
+
+  // --- Cascade -------------------------------------------------------------
+
+  function splitSelectors(text){
+    const parts = [];
+    let depth = 0, start = 0;
+    for (let i = 0; i < text.length; i++) {
+      const c = text[i];
+      if (c === '(' || c === '[') depth++;
+      else if (c === ')' || c === ']') depth--;
+      else if (c === ',' && depth === 0) { parts.push(text.slice(start, i).trim()); start = i + 1; }
+    }
+    parts.push(text.slice(start).trim());
+    return parts.filter(Boolean);
+  }
+
+  // Approximate (a, b, c) specificity as one comparable number; good enough to rank candidates
+  function specificity(selector){
+    const s = selector.replace(/:(?:where)\([^)]*\)/g, '').replace(/\[[^\]]*\]/g, '[]').replace(/::?[a-z-]+\(/gi, '(');
+    const ids = (s.match(/#[\w-]+/g) || []).length;
+    const classes = (s.match(/\.[\w-]+|\[\]|:(?!:)[\w-]+/g) || []).length;
+    const types = (s.replace(/[#.:][\w-]+|\[\]/g, ' ').match(/(?:^|[\s>+~(])[a-z][\w-]*/gi) || []).length;
+    return ids * 10000 + classes * 100 + types;
+  }
+
+  function sheetLabel(sheet){
+    const node = sheet.ownerNode;
+    if (sheet.href) return sheet.href.split('?')[0].split('/').pop();
+    if (node && node.tagName === 'STYLE') {
+      const styles = Array.from(document.querySelectorAll('style'));
+      return '<style' + (node.id ? ' #' + node.id : '') + '> ' + (styles.indexOf(node) + 1) + ' of ' + styles.length;
+    }
+    return 'stylesheet';
+  }
+
+  function collectRules(list, sheet, out){
+    Array.from(list || []).forEach(rule => {
+      if (rule.style && rule.selectorText) { out.push({ rule, sheet }); return; }
+      if (rule.media && !window.matchMedia(rule.media.mediaText).matches) return;
+      if (rule.cssRules) collectRules(rule.cssRules, sheet, out);
+    });
+  }
+
+  // Style rules of every readable sheet, in cascade order; rebuilt when sheets come and go
+  let ruleCache = null;
+  function getRules(){
+    const sheets = Array.from(document.styleSheets);
+    if (ruleCache && ruleCache.count === sheets.length) return ruleCache.rules;
+    const rules = [];
+    sheets.forEach(sheet => {
+      try { collectRules(sheet.cssRules, sheet, rules); } catch (e) { /* cross-origin (Google Fonts) */ }
+    });
+    ruleCache = { count: sheets.length, rules };
+    return rules;
+  }
+
+  // Rules matching an element with their best specificity; cached for one inspect() call
+  let matchCache = new Map();
+  function matchedRules(el){
+    if (matchCache.has(el)) return matchCache.get(el);
+    const matched = [];
+    getRules().forEach(({ rule, sheet }, order) => {
+      let best = -1;
+      splitSelectors(rule.selectorText).forEach(part => {
+        if (/::/.test(part)) return;
+        try { if (el.matches(part)) best = Math.max(best, specificity(part)); } catch (e) {}
+      });
+      if (best >= 0) matched.push({ rule, sheet, rank: best, order });
+    });
+    matchCache.set(el, matched);
+    return matched;
+  }
+
+  /**
+   * Declarations of one property that apply to an element, strongest first
+   *
+   * @returns {Array<{value: string, important: boolean, source: string, selector: string, runtime: boolean}>}
+   */
+  function declarationsFor(el, property){
+    const found = [];
+    matchedRules(el).forEach(({ rule, sheet, rank, order }) => {
+      const value = rule.style.getPropertyValue(property);
+      if (!value) return;
+      const node = sheet.ownerNode;
+      found.push({
+        value: value.trim(),
+        important: rule.style.getPropertyPriority(property) === 'important',
+        source: sheetLabel(sheet),
+        selector: rule.selectorText,
+        runtime: !!node && !baseline.sheets.has(node),
+        rank,
+        order
+      });
+    });
+    const inlineValue = el.style.getPropertyValue(property);
+    if (inlineValue) {
+      found.push({
+        value: inlineValue.trim(),
+        important: el.style.getPropertyPriority(property) === 'important',
+        source: 'style attribute',
+        selector: '',
+        runtime: baseline.inline.get(el) !== el.getAttribute('style'),
+        rank: Infinity,
+        order: Infinity
+      });
+    }
+    // !important first, then inline, specificity and source order
+    return found.sort((a, b) => (b.important - a.important) || (b.rank - a.rank) || (b.order - a.order));
+  }
+
+  function varsIn(value){
+    return (value.match(/var\(\s*--[\w-]+/g) || []).map(v => v.replace(/^var\(\s*/, ''));
+  }
+
+  // Follow --theme-body-font: var(--body-font-family) style indirections to a setting
+  function themeVar(el, value, seen){
+    seen = seen || [];
+    for (const name of varsIn(value)) {
+      if (seen.indexOf(name) !== -1) continue;
+      seen.push(name);
+      const setting = settingForVar(name);
+      if (setting) return { name, setting, value: getComputedStyle(el).getPropertyValue(name).trim() };
+      const definition = declarationsFor(document.documentElement, name)[0];
+      const next = definition && themeVar(el, definition.value, seen);
+      if (next) return next;
+    }
+    return null;
+  }
+
+  /**
+   * What drives one property of an element
+   *
+   * @returns {{property: string, computed: string, from: Element, winner: Object|null, theme: Object|null, overriddenBy: Object|null}}
+   */
+  function inspectProperty(el, property){
+    let from = el;
+    let decls = declarationsFor(el, property);
+    // Inherited properties: the nearest ancestor that sets it
+    while (!decls.length && INHERITED.indexOf(property) !== -1 && from.parentElement) {
+      from = from.parentElement;
+      decls = declarationsFor(from, property);
+    }
+    const winner = decls[0] || null;
+    if (!winner) from = el;
+    let theme = winner ? themeVar(el, winner.value) : null;
+    let overriddenBy = null;
+    if (winner && !theme) {
+      // A theme-driven declaration lost: say who beat it
+      const themed = decls.slice(1).find(d => themeVar(el, d.value));
+      if (themed) {
+        theme = themeVar(el, themed.value);
+        overriddenBy = winner;
+      }
+    }
+    return { property, computed: getComputedStyle(el).getPropertyValue(property).trim(), from, winner, theme, overriddenBy };
+  }
+
+  /**
+   * Inspect an element's font, color and background
+   *
+   * @param {Element} el
+   * @returns {{element: string, properties: Object[]}}
+   */
+  function inspect(el){
+    matchCache = new Map();
+    return { element: describe(el), properties: PROPERTIES.map(p => inspectProperty(el, p)) };
+  }
+
+  window.LibraryStyleInspector = {
+    inspect,
+    inspectProperty: function(el, property){ matchCache = new Map(); return inspectProperty(el, property); },
+    describe,
+    PROPERTIES
+  };
+
+  if (!showOverlay) return;
+
+  // --- Overlay -------------------------------------------------------------
+
+  function uiNode(tag, css, text){
+    const node = document.createElement(tag);
+    node.setAttribute(UI_ATTR, '');
+    if (css) node.style.cssText = css;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  const box = uiNode('div', 'position:fixed; z-index:2147483645; pointer-events:none; border:2px dashed magenta; background:rgba(255,0,255,.06); display:none;');
+  const panel = uiNode('div', 'position:fixed; z-index:2147483646; max-width:560px; max-height:70vh; overflow:auto; pointer-events:none; background:#111; color:#eee; font:12px/1.4 ui-monospace, Menlo, Consolas, monospace; padding:8px 10px; border-radius:4px; box-shadow:0 4px 16px rgba(0,0,0,.4); display:none;');
+  const badge = uiNode('button', 'position:fixed; z-index:2147483647; right:12px; bottom:12px; background:#111; color:#fff; border:1px solid magenta; border-radius:4px; padding:6px 10px; font:12px system-ui, sans-serif; cursor:pointer;');
+  badge.type = 'button';
+
+  let active = true;
+  let pinned = null;
+  let current = null;
+  let frameRequested = false;
+  let lastPoint = { x: 0, y: 0 };
+
+  function sourceText(decl){
+    if (!decl) return 'browser default';
+    return (decl.selector ? decl.selector + ' in ' : '') + decl.source +
+      (decl.important ? ' !important' : '') + (decl.runtime ? ' (added by a script)' : '');
+  }
+
+  function render(target, result){
+    panel.textContent = '';
+    panel.appendChild(uiNode('div', 'color:#f0f; font-weight:bold; margin-bottom:4px;', result.element + (pinned ? '  (pinned, Esc to release)' : '')));
+    result.properties.forEach(info => {
+      const warn = !!info.overriddenBy;
+      const row = uiNode('div', 'padding:4px 0; border-top:1px solid #333;' + (warn ? ' background:#3a2a00;' : ''));
+      row.appendChild(uiNode('div', 'color:#8cf;', info.property + ': ' + (info.computed || '(none)')));
+      const inherited = info.from !== target ? 'inherited from ' + describe(info.from) + ' · ' : '';
+      row.appendChild(uiNode('div', 'color:#aaa;', inherited + sourceText(info.winner)));
+      if (info.theme) {
+        const setting = resolution && resolution.settings && resolution.settings[info.theme.setting];
+        row.appendChild(uiNode('div', 'color:#9f9;',
+          'setting ' + info.theme.setting + ' → ' + info.theme.name + ' = ' + (info.theme.value || '(not set)') +
+          (setting && setting.resolved !== undefined && setting.resolved !== null ? ' (resolved "' + setting.resolved + '")' : '')));
+      } else if (info.winner) {
+        row.appendChild(uiNode('div', 'color:#777;', 'no theme setting'));
+      }
+      if (warn) {
+        row.appendChild(uiNode('div', 'color:#fc3;',
+          '⚠ ' + info.theme.setting + ' is overridden by ' + (info.overriddenBy.runtime ? 'a runtime ' : '') +
+          (info.overriddenBy.important ? '!important ' : '') + info.overriddenBy.source + ': ' + info.overriddenBy.value));
+      }
+      panel.appendChild(row);
+    });
+  }
+
+  function place(target){
+    const rect = target.getBoundingClientRect();
+    box.style.display = 'block';
+    box.style.left = rect.left + 'px';
+    box.style.top = rect.top + 'px';
+    box.style.width = rect.width + 'px';
+    box.style.height = rect.height + 'px';
+
+    panel.style.display = 'block';
+    const gap = 14;
+    const width = panel.offsetWidth, height = panel.offsetHeight;
+    let left = lastPoint.x + gap, top = lastPoint.y + gap;
+    if (left + width > window.innerWidth) left = Math.max(0, lastPoint.x - width - gap);
+    if (top + height > window.innerHeight) top = Math.max(0, window.innerHeight - height - gap);
+    panel.style.left = left + 'px';
+    panel.style.top = top + 'px';
+  }
+
+  function show(target){
+    if (!target || target.closest('[' + UI_ATTR + ']')) return;
+    if (target !== current) {
+      current = target;
+      render(target, inspect(target));
+    }
+    place(target);
+  }
+
+  function hide(){
+    box.style.display = 'none';
+    panel.style.display = 'none';
+    current = null;
+  }
+
+  function updateBadge(){
+    badge.textContent = active ? 'Style inspector: on' : 'Style inspector: off';
+    badge.setAttribute('aria-pressed', active ? 'true' : 'false');
+  }
+
+  document.addEventListener('mousemove', function(e){
+    if (!active || pinned) return;
+    lastPoint = { x: e.clientX, y: e.clientY };
+    if (frameRequested) return;
+    frameRequested = true;
+    requestAnimationFrame(function(){
+      frameRequested = false;
+      show(document.elementFromPoint(lastPoint.x, lastPoint.y));
+    });
+  }, true);
+
+  document.addEventListener('click', function(e){
+    if (!active || e.target.closest('[' + UI_ATTR + ']')) return;
+    e.preventDefault();
+    e.stopPropagation();
+    pinned = pinned === e.target ? null : e.target;
+    current = null;
+    lastPoint = { x: e.clientX, y: e.clientY };
+    show(e.target);
+    if (pinned) {
+      const result = inspect(pinned);
+      log.info('Inspected', result.element, result.properties.map(p => Object.assign({}, p, { from: describe(p.from) })));
+    }
+  }, true);
+
+  document.addEventListener('keydown', function(e){
+    if (e.key === 'Escape' && pinned) { pinned = null; hide(); }
+  });
+
+  window.addEventListener('scroll', function(){ if (current) place(pinned || current); }, true);
+
+  badge.addEventListener('click', function(){
+    active = !active;
+    pinned = null;
+    hide();
+    updateBadge();
+  });
+
+  function mount(){
+    document.body.appendChild(box);
+    document.body.appendChild(panel);
+    document.body.appendChild(badge);
+    updateBadge();
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', mount);
+  } else {
+    mount();
+  }
+})();
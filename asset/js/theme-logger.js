@@ -0,0 +1,181 @@
+(function(){
+  'use strict';
+  // Shared logger for the theme scripts. Load it before them (layout.phtml loads it in the head,
+  // and the admin theme settings page loads it ahead of the admin scripts); they all call
+  // LibraryThemeLog.create(namespace).
+  //
+  // Each script logs under a namespace: preset, colors, preview, menu, fonts, captions, admin, share, styles, overrides.
+  // Console output is off except for errors; turn it on per namespace with
+  //   ?debug                      everything
+  //   ?debug=menu,fonts           some namespaces
+  //   ?debug=menu:warn            a namespace from a level up (debug < info < warn < error)
+  // or persistently with LibraryThemeLog.enable('menu,fonts') (stored in localStorage).
+  // Every entry, shown or not, goes into a ring buffer that downloadReport() saves.
+
+  if (window.LibraryThemeLog) return;
+
+  var STORAGE_KEY = 'libraryTheme.debug';
+  var BUFFER_SIZE = 500;
+  var LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+  var NAMESPACES = ['preset', 'colors', 'preview', 'menu', 'fonts', 'captions', 'admin', 'share', 'styles', 'overrides', 'page'];
+
+  var buffer = [];
+
+  /**
+   * Parse "menu,fonts:warn" / "1" / "*" into { namespace|'*': minimum level }
+   */
+  function parseSpec(spec){
+    var config = {};
+    if (spec === null || spec === undefined) return config;
+    spec = String(spec).trim();
+    if (spec === '' || spec === '1' || spec === 'true' || spec === 'all' || spec === '*') {
+      config['*'] = LEVELS.debug;
+      return config;
+    }
+    spec.split(',').forEach(function(part){
+      var bits = part.trim().toLowerCase().split(':');
+      if (!bits[0]) return;
+      config[bits[0] === 'all' ? '*' : bits[0]] = LEVELS[bits[1]] || LEVELS.debug;
+    });
+    return config;
+  }
+
+  function readConfig(){
+    var config = {};
+    try {
+      var stored = window.localStorage.getItem(STORAGE_KEY);
+      if (stored) config = parseSpec(stored);
+    } catch (e) {}
+    try {
+      var params = new URLSearchParams(window.location.search);
+      if (params.has('debug')) {
+        var fromQuery = parseSpec(params.get('debug'));
+        Object.keys(fromQuery).forEach(function(ns){ config[ns] = fromQuery[ns]; });
+      }
+    } catch (e) {}
+    return config;
+  }
+
+  var config = readConfig();
+
+  function threshold(ns){
+    if (config.hasOwnProperty(ns)) return config[ns];
+    if (config.hasOwnProperty('*')) return config['*'];
+    return LEVELS.error;
+  }
+
+  // Keep entries small and JSON-safe: elements and errors are summarised, objects truncated
+  function serialize(value){
+    if (value === null || value === undefined) return String(value);
+    if (typeof value === 'string') return value;
+    if (value instanceof Error || Object.prototype.toString.call(value) === '[object Error]') return value.name + ': ' + value.message + (value.stack ? '\n' + value.stack : '');
+    if (typeof Element !== 'undefined' && value instanceof Element) {
+      return '<' + value.tagName.toLowerCase() + (value.id ? '#' + value.id : '') +
+        (typeof value.className === 'string' && value.className ? '.' + value.className.trim().split(/\s+/).join('.') : '') + '>';
+    }
+    try {
+      var json = JSON.stringify(value);
+      return json && json.length > 2000 ? json.slice(0, 2000) + '…' : String(json);
+    } catch (e) {
+      return Object.prototype.toString.call(value);
+    }
+  }
+
+  function record(ns, level, args){
+    buffer.push({
+      time: new Date().toISOString(),
+      ns: ns,
+      level: level,
+      message: Array.prototype.map.call(args, serialize).join(' ')
+    });
+    if (buffer.length > BUFFER_SIZE) buffer.shift();
+  }
+
+  function write(ns, level, args){
+    record(ns, level, args);
+    if (LEVELS[level] < threshold(ns)) return;
+    try {
+      var method = level === 'debug' ? 'log' : level;
+      console[method].apply(console, ['[' + ns + ']'].concat(Array.prototype.slice.call(args)));
+    } catch (e) {}
+  }
+
+  /**
+   * Logger for one namespace
+   *
+   * @param {string} ns
+   * @returns {{debug: Function, info: Function, warn: Function, error: Function, group: Function, enabled: Function}}
+   */
+  function create(ns){
+    return {
+      debug: function(){ write(ns, 'debug', arguments); },
+      info: function(){ write(ns, 'info', arguments); },
+      warn: function(){ write(ns, 'warn', arguments); },
+      error: function(){ write(ns, 'error', arguments); },
+      // Collapsed console group around whatever fn logs (entries are buffered either way)
+      group: function(label, fn){
+        var shown = LEVELS.debug >= threshold(ns);
+        record(ns, 'debug', [label]);
+        if (shown) { try { console.groupCollapsed('[' + ns + '] ' + label); } catch (e) {} }
+        try { fn(); } finally {
+          if (shown) { try { console.groupEnd(); } catch (e) {} }
+        }
+      },
+      enabled: function(level){ return LEVELS[level || 'debug'] >= threshold(ns); }
+    };
+  }
+
+  /**
+   * Turn console output on for namespaces in this browser ('' turns it off again)
+   */
+  function enable(spec){
+    try {
+      if (spec) window.localStorage.setItem(STORAGE_KEY, String(spec));
+      else window.localStorage.removeItem(STORAGE_KEY);
+    } catch (e) {}
+    config = readConfig();
+  }
+
+  function report(){
+    var scripts = Array.prototype.map.call(document.querySelectorAll('script[src]'), function(s){ return s.getAttribute('src'); })
+      .filter(function(src){ return /\/themes\/|asset\/js\//.test(src); });
+    return {
+      generated: new Date().toISOString(),
+      url: window.location.href,
+      userAgent: navigator.userAgent,
+      viewport: { width: window.innerWidth, height: window.innerHeight, devicePixelRatio: window.devicePixelRatio || 1 },
+      debug: config,
+      scripts: scripts,
+      entries: buffer.slice()
+    };
+  }
+
+  function downloadReport(){
+    var blob = new Blob([JSON.stringify(report(), null, 2)], { type: 'application/json' });
+    var url = URL.createObjectURL(blob);
+    var link = document.createElement('a');
+    link.href = url;
+    link.download = 'library-theme-diagnostics-' + new Date().toISOString().replace(/[:.]/g, '-') + '.json';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(function(){ URL.revokeObjectURL(url); }, 1000);
+  }
+
+  // Errors from anywhere on the page end up in the report too (the browser already prints them)
+  window.addEventListener('error', function(e){
+    record('page', 'error', [e.message + (e.filename ? ' (' + e.filename + ':' + e.lineno + ')' : '')]);
+  });
+  window.addEventListener('unhandledrejection', function(e){
+    record('page', 'error', ['Unhandled rejection:', e.reason]);
+  });
+
+  window.LibraryThemeLog = {
+    create: create,
+    enable: enable,
+    entries: function(){ return buffer.slice(); },
+    report: report,
+    downloadReport: downloadReport,
+    NAMESPACES: NAMESPACES
+  };
+})();